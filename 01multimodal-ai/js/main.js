@@ -4,11 +4,17 @@
  */
 
 import { loadApiKey, setupApiKeyEventListeners } from '../../common/js/api-key.js';
-import { setupEventListeners, updateUIState } from '../../common/js/ui-helpers.js';
-import { setAIGenerator } from '../../common/js/image-processing.js';
-import { generateGeminiAltText } from './alt-text-gen.js';
+import { setupEventListeners, updateUIState, handleError } from '../../common/js/ui-helpers.js';
+import { registerProvider, setProviderOrder } from '../../common/js/ai-providers.js';
+import { createGeminiProvider } from '../../common/js/gemini-provider.js';
+import { restoreFeed } from '../../common/js/feed.js';
+import { loadAltTextLanguageSettings, setupAltTextLanguageEventListeners } from '../../common/js/alt-text-languages.js';
+import { loadModerationLogSettings, setupModerationLogEventListeners } from '../../common/js/moderation-log.js';
+import { loadPrefilterRules } from '../../common/js/comment-prefilter.js';
 // Import other modules to ensure they load and register their global functions
-import './comment-moderation.js';
+import '../../common/js/image-processing.js';
+import '../../common/js/comment-moderation.js';
+import '../../common/js/upload-queue.js';
 
 // Constants
 const INIT_DELAY_MS = 50; // Delay to ensure all modules are loaded
@@ -19,14 +25,29 @@ const FADE_IN_DELAY_MS = 200; // Delay before container fade-in animation
  * Sets up all modules and loads saved data
  */
 window.addEventListener('load', () => {
-  // Configure AI generator via dependency injection
-  setAIGenerator(generateGeminiAltText);
+  // Register Gemini as the only AI provider for alt text and moderation
+  registerProvider(createGeminiProvider({ model: 'gemini-2.5-flash' }));
+  setProviderOrder(['gemini']);
   
   // Load saved API key from storage
   loadApiKey();
   
-  // Set up API key event listeners first (these don't depend on other modules)
+  // Load saved alt text language settings
+  loadAltTextLanguageSettings();
+  
+  // Load saved moderation log settings
+  loadModerationLogSettings();
+  
+  // Set up API key, language and moderation log settings event listeners first (these don't depend on other modules)
   setupApiKeyEventListeners();
+  setupAltTextLanguageEventListeners();
+  setupModerationLogEventListeners();
+  
+  // Load the rules that decide clear-cut comments without the AI; until then every comment goes to the AI
+  loadPrefilterRules().catch(error => handleError(error, 'Loading comment pre-filter rules'));
+  
+  // Restore posts and comments saved before the last reload
+  restoreFeed().catch(error => handleError(error, 'Restoring saved posts'));
   
   // Defer other event listeners to ensure all modules are loaded
   setTimeout(() => {
@@ -46,4 +67,4 @@ window.addEventListener('load', () => {
   }, FADE_IN_DELAY_MS);
 });
 
-// No cleanup needed - everything is in memory and will be cleared on page refresh
\ No newline at end of file
+// No cleanup needed - posts and comments are saved to IndexedDB as they are created
\ No newline at end of file
@@ -0,0 +1,233 @@
+/**
+ * Capability Monitor
+ * Keeps track of which AI backends can take requests right now, so routing and the UI follow changes
+ * without a reload: a model that finishes downloading, an API key saved mid-session, or a transient error
+ *
+ * The on-device model's availability is checked again:
+ * - on a schedule, more often while the model is downloading
+ * - when the page becomes visible again (visibilitychange)
+ * - when something asks for it with requestCapabilityCheck(), such as a finished download or a failed session
+ *
+ * Each check clears the availability cache in clientside-ai-helpers.js, so the provider registry sees the new state
+ * too. Subscribers are told whenever the capabilities change, and the current local and cloud readiness is shown
+ * in #apiStatus.
+ */
+
+import { getProvider, getProviderOrder } from '../../common/js/ai-providers.js';
+import { getElement, showElement, handleError } from '../../common/js/ui-helpers.js';
+import { checkPromptApiAvailability, resetPromptApiAvailability } from './clientside-ai-helpers.js';
+
+// Constants
+const LOCAL_PROVIDER = 'prompt-api';
+const CHECK_INTERVAL_MS = 30000; // How often to check while nothing is changing
+const DOWNLOADING_CHECK_INTERVAL_MS = 5000; // How often to check while the model is downloading
+
+// Functions to call when the capabilities change
+const listeners = new Set();
+
+// Latest capabilities, or null before the first check
+let capabilities = null;
+
+// Check in progress, so overlapping requests share it
+let checkPromise = null;
+
+// Timer for the next scheduled check, and whether the monitor is running
+let checkTimer = null;
+let monitorRunning = false;
+
+/**
+ * Checks whether each cloud or self-hosted provider can take requests
+ * @returns {Promise<Object>} - Readiness with ready (true if any provider is) and providers: an entry per provider
+ *   with its name, label and ready
+ */
+async function checkCloudCapabilities() {
+  const names = getProviderOrder().filter(name => name !== LOCAL_PROVIDER && getProvider(name));
+  const providers = await Promise.all(names.map(async (name) => {
+    const provider = getProvider(name);
+    let ready = false;
+    try {
+      ready = await provider.isAvailable();
+    } catch (error) {
+      console.warn(`⚠️ Could not check ${provider.label || name}:`, error.message);
+    }
+    return { name, label: provider.label || name, ready: !!ready };
+  }));
+
+  return { ready: providers.some(provider => provider.ready), providers };
+}
+
+/**
+ * Runs one check of every backend and tells subscribers if anything changed
+ * @returns {Promise<Object>} - The new capabilities
+ */
+async function runCapabilityCheck() {
+  // Ask the browser again rather than trusting a result from earlier in the session
+  resetPromptApiAvailability();
+  const [local, cloud] = await Promise.all([checkPromptApiAvailability(), checkCloudCapabilities()]);
+
+  const next = {
+    local: {
+      ready: !!(local.available && local.ready),
+      needsDownload: !!local.needsDownload,
+      downloading: !!local.downloading,
+      status: local.status ?? null,
+      reason: local.reason ?? null
+    },
+    cloud
+  };
+
+  const changed = JSON.stringify(next) !== JSON.stringify(capabilities);
+  capabilities = next;
+  if (changed) {
+    console.log(`🔄 AI capabilities changed: on-device ${next.local.status ?? 'unavailable'}, cloud ${next.cloud.ready ? 'ready' : 'unavailable'}`);
+    renderApiStatus(next);
+    listeners.forEach(listener => {
+      try {
+        listener(getCapabilities());
+      } catch (error) {
+        handleError(error, 'Capability listener');
+      }
+    });
+  }
+
+  return getCapabilities();
+}
+
+/**
+ * Schedules the next check, sooner while the model is downloading
+ */
+function scheduleNextCheck() {
+  clearTimeout(checkTimer);
+  if (!monitorRunning) {
+    return;
+  }
+
+  const delay = capabilities?.local.downloading ? DOWNLOADING_CHECK_INTERVAL_MS : CHECK_INTERVAL_MS;
+  checkTimer = setTimeout(() => {
+    // Hidden pages are checked again when they become visible instead
+    if (document.visibilityState === 'hidden') {
+      return;
+    }
+    requestCapabilityCheck().catch(error => handleError(error, 'Checking AI capabilities'));
+  }, delay);
+}
+
+/**
+ * Checks again when the page comes back into view
+ */
+function handleVisibilityChange() {
+  if (document.visibilityState === 'visible') {
+    requestCapabilityCheck().catch(error => handleError(error, 'Checking AI capabilities'));
+  } else {
+    clearTimeout(checkTimer);
+  }
+}
+
+/**
+ * Shows the current local and cloud readiness in #apiStatus
+ * @param {Object} current - Capabilities from getCapabilities()
+ */
+function renderApiStatus(current) {
+  const statusEl = getElement('apiStatus');
+  if (!statusEl) {
+    return;
+  }
+
+  const { local, cloud } = current;
+  let localMessage;
+  if (local.ready) {
+    localMessage = '✅ On-device AI ready';
+  } else if (local.downloading) {
+    localMessage = '⏳ On-device model downloading';
+  } else if (local.needsDownload) {
+    localMessage = '⬇️ On-device model not downloaded';
+  } else {
+    localMessage = `❌ On-device AI unavailable${local.reason ? ` (${local.reason})` : ''}`;
+  }
+
+  const readyProviders = cloud.providers.filter(provider => provider.ready).map(provider => provider.label);
+  const cloudMessage = readyProviders.length > 0
+    ? `☁️ Fallback ready: ${readyProviders.join(', ')}`
+    : '☁️ No fallback configured';
+
+  statusEl.textContent = `${localMessage} · ${cloudMessage}`;
+  statusEl.className = `api-status ${local.ready || cloud.ready ? 'available' : 'unavailable'}`;
+  showElement(statusEl);
+}
+
+/**
+ * Gets the latest capabilities
+ * @returns {Object|null} - Capabilities with local (ready, needsDownload, downloading, status and reason of the
+ *   on-device model) and cloud (ready, and providers: name, label and ready of each other provider),
+ *   or null before the first check
+ */
+export function getCapabilities() {
+  return capabilities ? structuredClone(capabilities) : null;
+}
+
+/**
+ * Calls a function whenever the capabilities change, and straight away if they are already known
+ * @param {Function} listener - Called with the capabilities (see getCapabilities())
+ * @returns {Function} - Call to unsubscribe, the same as unsubscribeFromCapabilities(listener)
+ */
+export function subscribeToCapabilities(listener) {
+  if (typeof listener !== 'function') {
+    throw new Error('Capability listener must be a function');
+  }
+
+  listeners.add(listener);
+  if (capabilities) {
+    listener(getCapabilities());
+  }
+  return () => unsubscribeFromCapabilities(listener);
+}
+
+/**
+ * Stops calling a function when the capabilities change
+ * @param {Function} listener - Function passed to subscribeToCapabilities()
+ */
+export function unsubscribeFromCapabilities(listener) {
+  listeners.delete(listener);
+}
+
+/**
+ * Checks every backend now, such as after a download finishes or a session fails
+ * Requests made while a check is running share its result
+ * @param {string} [reason] - Why a check is needed, for the console
+ * @returns {Promise<Object>} - The new capabilities
+ */
+export function requestCapabilityCheck(reason = null) {
+  if (reason) {
+    console.log(`🔄 Checking AI capabilities: ${reason}`);
+  }
+
+  if (!checkPromise) {
+    checkPromise = runCapabilityCheck().finally(() => {
+      checkPromise = null;
+      scheduleNextCheck();
+    });
+  }
+  return checkPromise;
+}
+
+/**
+ * Starts checking capabilities on a schedule and when the page becomes visible, beginning with a check now
+ * This function should be called during app initialization, after the providers are registered
+ * @returns {Promise<Object>} - Capabilities from the first check
+ */
+export function startCapabilityMonitor() {
+  if (!monitorRunning) {
+    monitorRunning = true;
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+  }
+  return requestCapabilityCheck();
+}
+
+/**
+ * Stops the scheduled and visibility checks; subscribers stay subscribed
+ */
+export function stopCapabilityMonitor() {
+  monitorRunning = false;
+  clearTimeout(checkTimer);
+  document.removeEventListener('visibilitychange', handleVisibilityChange);
+}
@@ -6,6 +6,21 @@
 // Cache for Prompt API availability check (per session)
 let promptApiAvailabilityCache = null;
 
+// Cache for per-language on-device support checks (per session)
+const promptApiLanguageCache = new Map();
+
+/**
+ * Builds the expected input and output options for a Prompt API session
+ * @param {string[]} languages - Languages the session will read and write
+ * @returns {Object} - expectedInputs and expectedOutputs for LanguageModel.create()/availability()
+ */
+function buildSessionExpectations(languages) {
+  return {
+    expectedInputs: [{ type: 'text', languages }, { type: 'image' }],
+    expectedOutputs: [{ type: 'text', languages }]
+  };
+}
+
 /**
  * Parses Prompt API response structure consistently
  * @param {string} responseText - The response text from Prompt API
@@ -33,8 +48,9 @@ export function parsePromptApiResponse(responseText, context = 'API call') {
 
 /**
  * Checks if Prompt API is available and ready in the current browser
- * Caches the result per session to avoid repeated checks
- * @returns {Promise<Object>} - Status object with availability info
+ * Caches the result per session to avoid repeated checks; resetPromptApiAvailability() clears it
+ * @returns {Promise<Object>} - Status object with availability info: available, ready, and either
+ *   needsDownload (the model can be downloaded) or downloading (a download is in progress), plus the raw status
  */
 export async function checkPromptApiAvailability() {
   // Return cached result if already checked this session
@@ -62,15 +78,27 @@ export async function checkPromptApiAvailability() {
     switch (capabilities.available) {
       case 'available':
         // Model is downloaded and ready to use
-        promptApiAvailabilityCache = { available: true, ready: true };
+        promptApiAvailabilityCache = { available: true, ready: true, status: availability };
         break;
         
+      case 'downloadable':
       case 'after-download':
-        // API exists but model needs to download first
+        // API exists but model needs to download first ('after-download' in older Chrome versions)
         promptApiAvailabilityCache = { 
           available: true, 
           ready: false, 
-          needsDownload: true 
+          needsDownload: true,
+          status: availability
+        };
+        break;
+        
+      case 'downloading':
+        // A download has started, in this page or another one
+        promptApiAvailabilityCache = {
+          available: true,
+          ready: false,
+          downloading: true,
+          status: availability
         };
         break;
         
@@ -78,7 +106,8 @@ export async function checkPromptApiAvailability() {
         // API exists but model isn't available on this device
         promptApiAvailabilityCache = { 
           available: false, 
-          reason: 'Model not available on this device' 
+          reason: 'Model not available on this device',
+          status: availability
         };
         break;
     }
@@ -93,6 +122,77 @@ export async function checkPromptApiAvailability() {
   }
 }
 
+/**
+ * Forgets the cached availability checks, so the next check asks the browser again
+ * Call it when the model's state may have changed, such as after a download finishes
+ */
+export function resetPromptApiAvailability() {
+  promptApiAvailabilityCache = null;
+  promptApiLanguageCache.clear();
+}
+
+/**
+ * Downloads the on-device model, reporting progress as it arrives
+ * Must be called from a user gesture such as a click; browsers only start model downloads after one
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onProgress] - Called with the fraction downloaded so far, from 0 to 1
+ * @param {AbortSignal} [options.signal] - Signal that cancels the download
+ * @returns {Promise<Object>} - Availability status once the download has finished (see checkPromptApiAvailability())
+ * @throws {Error} - If the Prompt API is missing, there was no user gesture, or the download fails
+ */
+export async function downloadPromptApiModel({ onProgress = null, signal = null } = {}) {
+  if (!window.LanguageModel) {
+    throw new Error('Prompt API not supported in this browser');
+  }
+  if (!hasUserActivation()) {
+    throw new Error(getUserActivationMessage());
+  }
+
+  // Creating a session is what starts the download; it resolves once the model is ready
+  const session = await LanguageModel.create({
+    ...buildSessionExpectations(['en']),
+    ...(signal ? { signal } : {}),
+    monitor(monitor) {
+      monitor.addEventListener('downloadprogress', (event) => {
+        // Current versions report loaded as a fraction of 1, older ones in bytes with a total
+        const fraction = event.total > 1 ? event.loaded / event.total : event.loaded;
+        onProgress?.(Math.min(1, Math.max(0, fraction)));
+      });
+    }
+  });
+  session.destroy?.();
+
+  resetPromptApiAvailability();
+  return checkPromptApiAvailability();
+}
+
+/**
+ * Checks whether the on-device model can read and write a language
+ * Caches the result per language for the session
+ * @param {string} language - BCP 47 language tag
+ * @returns {Promise<boolean>} - True if the model supports the language and is ready to use
+ */
+export async function checkPromptApiLanguageSupport(language) {
+  if (promptApiLanguageCache.has(language)) {
+    return promptApiLanguageCache.get(language);
+  }
+
+  if (!window.LanguageModel) {
+    return false;
+  }
+
+  let supported = false;
+  try {
+    const availability = await LanguageModel.availability(buildSessionExpectations([language]));
+    supported = availability === 'available';
+  } catch (error) {
+    // Browsers reject unsupported languages instead of reporting them as unavailable
+    console.log(`ℹ️ Prompt API does not support ${language}: ${error.message}`);
+  }
+
+  promptApiLanguageCache.set(language, supported);
+  return supported;
+}
 
 /**
  * Checks if user activation is available for Prompt API operations
@@ -134,9 +234,12 @@ export async function getPromptApiCapabilities() {
 /**
  * Creates a Prompt API session if available
  * Follows Chrome best practices for user activation to trigger model downloads
+ * @param {Object} [options] - Session options
+ * @param {string[]} [options.languages] - Languages the session will read and write
+ * @param {string} [options.systemPrompt] - The task's trusted instructions; untrusted text only ever goes in prompts
  * @returns {Promise<Object|null>} - Session object or null if not available
  */
-export async function createPromptApiSession() {
+export async function createPromptApiSession({ languages = ['en'], systemPrompt = 'You are a helpful assistant.' } = {}) {
   if (!window.LanguageModel) {
     return null;
   }
@@ -150,11 +253,10 @@ export async function createPromptApiSession() {
   try {
     console.log('✅ User activation detected, creating Prompt API session...');
     const session = await LanguageModel.create({
-      expectedInputs: [{type: 'text', languages: ['en']}, {type: 'image'}],
-      expectedOutputs: [{type: 'text', languages: ['en']}],
+      ...buildSessionExpectations(languages),
       temperature: 0.4,
       topK: 3,
-      systemPrompt: 'You are a helpful assistant.'
+      initialPrompts: [{ role: 'system', content: systemPrompt }]
     });
     return session;
   } catch (error) {
@@ -1,15 +1,26 @@
 /**
  * Main Application Initialization
  * Coordinates the loading and setup of all app features
- * Uses hybrid AI approach: Prompt API (clientside) with Gemini fallback (serverside)
+ * Uses hybrid AI approach: Prompt API (clientside), then a self-hosted model, with Gemini fallback (serverside)
  */
 
 import { loadApiKey, setupApiKeyEventListeners } from '../../common/js/api-key.js';
-import { setupEventListeners, updateUIState } from '../../common/js/ui-helpers.js';
-import { setAIGenerator } from '../../common/js/image-processing.js';
-import { generateAltText } from './alt-text-gen.js';
-// Import comment moderation module which includes UI handlers
-import './comment-moderation.js';
+import { setupEventListeners, updateUIState, handleError } from '../../common/js/ui-helpers.js';
+import { registerProvider, setProviderOrder } from '../../common/js/ai-providers.js';
+import { createGeminiProvider } from '../../common/js/gemini-provider.js';
+import { createOpenAICompatibleProvider } from '../../common/js/openai-compatible-provider.js';
+import { loadSelfHostedConfig, setupSelfHostedEventListeners } from '../../common/js/self-hosted-config.js';
+import { createPromptApiProvider } from './prompt-api-provider.js';
+import { setupModelDownloadEventListeners } from './model-download.js';
+import { startCapabilityMonitor } from './capability-monitor.js';
+import { restoreFeed } from '../../common/js/feed.js';
+import { loadAltTextLanguageSettings, setupAltTextLanguageEventListeners } from '../../common/js/alt-text-languages.js';
+import { loadModerationLogSettings, setupModerationLogEventListeners } from '../../common/js/moderation-log.js';
+import { loadPrefilterRules } from '../../common/js/comment-prefilter.js';
+import { setQueueConcurrency } from '../../common/js/upload-queue.js';
+// Import modules which include UI handlers so they register their global functions
+import '../../common/js/image-processing.js';
+import '../../common/js/comment-moderation.js';
 
 // Constants
 const INIT_DELAY_MS = 50; // Delay to ensure all modules are loaded
@@ -21,14 +32,44 @@ const FADE_IN_DELAY_MS = 200; // Delay before container fade-in animation
  * Detects AI capabilities and configures hybrid system
  */
 window.addEventListener('load', async () => {
-  // Configure AI generator via dependency injection
-  setAIGenerator(generateAltText);
-    
+  // Register AI providers: clientside Prompt API first, then self-hosted, serverside Gemini fallback
+  registerProvider(createPromptApiProvider());
+  registerProvider(createOpenAICompatibleProvider());
+  registerProvider(createGeminiProvider({ model: 'gemini-2.0-flash-exp' }));
+  setProviderOrder(['prompt-api', 'self-hosted', 'gemini']);
+  
+  // On-device models describe one image at a time, so don't queue up parallel requests
+  setQueueConcurrency(1);
+  
   // Load saved API key from storage (still needed for Gemini fallback)
   loadApiKey();
   
-  // Set up API key event listeners first (these don't depend on other modules)
+  // Load saved self-hosted server settings
+  loadSelfHostedConfig();
+  
+  // Load saved alt text language settings
+  loadAltTextLanguageSettings();
+  
+  // Load saved moderation log settings
+  loadModerationLogSettings();
+  
+  // Set up API key, self-hosted, language and moderation log settings event listeners first (these don't depend on other modules)
   setupApiKeyEventListeners();
+  setupSelfHostedEventListeners();
+  setupAltTextLanguageEventListeners();
+  setupModerationLogEventListeners();
+  
+  // Offer to download the on-device model if the browser supports it but hasn't downloaded it yet
+  setupModelDownloadEventListeners();
+  
+  // Keep routing, #apiStatus and the download section up to date as the backends' availability changes
+  startCapabilityMonitor().catch(error => handleError(error, 'Checking AI capabilities'));
+  
+  // Load the rules that decide clear-cut comments without the AI; until then every comment goes to the AI
+  loadPrefilterRules().catch(error => handleError(error, 'Loading comment pre-filter rules'));
+  
+  // Restore posts and comments saved before the last reload
+  restoreFeed().catch(error => handleError(error, 'Restoring saved posts'));
   
   // Defer other event listeners to ensure all modules are loaded
   setTimeout(() => {
@@ -48,4 +89,4 @@ window.addEventListener('load', async () => {
   }, FADE_IN_DELAY_MS);
 });
 
-// No cleanup needed - everything is in memory and will be cleared on page refresh
\ No newline at end of file
+// No cleanup needed - posts and comments are saved to IndexedDB as they are created
\ No newline at end of file
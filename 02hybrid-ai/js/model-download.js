@@ -0,0 +1,163 @@
+/**
+ * On-device Model Download
+ * Offers to download the Prompt API's on-device model when the browser supports it but hasn't downloaded it yet,
+ * and shows the download's progress
+ *
+ * Browsers only start a model download from a user gesture, so the download runs from the button's click handler
+ * rather than on page load. Until then the section says what the user needs to do (getUserActivationMessage()).
+ * The section follows the capability monitor (capability-monitor.js). Once the model is ready the monitor checks
+ * again, so the provider registry routes requests to the Prompt API instead of the self-hosted or Gemini providers.
+ */
+
+import { getElement, showElement, hideElement, showStatusNotification, handleError } from '../../common/js/ui-helpers.js';
+import { downloadPromptApiModel, getUserActivationMessage, hasUserActivation } from './clientside-ai-helpers.js';
+import { subscribeToCapabilities, requestCapabilityCheck } from './capability-monitor.js';
+
+// Download in progress, so a second click doesn't start another
+let downloadInProgress = false;
+
+/**
+ * Shows the download's progress
+ * @param {number|null} fraction - Fraction downloaded from 0 to 1, or null if unknown
+ */
+function updateDownloadProgress(fraction) {
+  const progressEl = getElement('modelDownloadProgress');
+  if (!progressEl) {
+    return;
+  }
+
+  if (fraction === null) {
+    // An indeterminate progress bar has no value
+    progressEl.removeAttribute('value');
+  } else {
+    progressEl.value = fraction;
+  }
+  progressEl.textContent = fraction === null ? '' : `${Math.round(fraction * 100)}%`;
+  showElement(progressEl);
+}
+
+/**
+ * Shows a message in the download section
+ * @param {string} message - Message to display
+ */
+function setDownloadMessage(message) {
+  const messageEl = getElement('modelDownloadMessage');
+  if (messageEl) {
+    messageEl.textContent = message;
+  }
+}
+
+/**
+ * Shows whether the page has the user gesture a download needs
+ */
+function updateActivationHint() {
+  const hintEl = getElement('modelDownloadActivation');
+  if (!hintEl) {
+    return;
+  }
+
+  if (hasUserActivation()) {
+    hideElement(hintEl);
+  } else {
+    hintEl.textContent = `👆 ${getUserActivationMessage()}`;
+    showElement(hintEl);
+  }
+}
+
+/**
+ * Shows or hides the download section to match the on-device model's availability
+ * @param {Object} capabilities - Capabilities from the capability monitor
+ */
+export function updateModelDownloadSection({ local }) {
+  const section = getElement('modelDownloadSection');
+  if (!section || downloadInProgress) {
+    return;
+  }
+
+  const button = getElement('btnDownloadModel');
+
+  if (local.needsDownload) {
+    setDownloadMessage('Chrome can run AI on this device once its model is downloaded. Until then, requests go to your self-hosted model or Gemini.');
+    hideElement('modelDownloadProgress');
+    updateActivationHint();
+    if (button) button.disabled = false;
+    showElement(section);
+  } else if (local.downloading) {
+    // Started elsewhere, such as another tab, so there are no progress events; the monitor checks on it
+    setDownloadMessage('⏳ The on-device model is downloading…');
+    updateDownloadProgress(null);
+    hideElement('modelDownloadActivation');
+    if (button) button.disabled = true;
+    showElement(section);
+  } else {
+    hideElement(section);
+  }
+}
+
+/**
+ * Downloads the on-device model, showing its progress
+ * Must run from a user gesture such as the download button's click handler
+ * @returns {Promise<boolean>} - True if the model is ready to use afterwards
+ */
+export async function startModelDownload() {
+  if (downloadInProgress) {
+    return false;
+  }
+
+  const button = getElement('btnDownloadModel');
+  downloadInProgress = true;
+  if (button) button.disabled = true;
+  hideElement('modelDownloadActivation');
+  setDownloadMessage('⬇️ Downloading the on-device model…');
+  updateDownloadProgress(0);
+
+  let ready = false;
+  try {
+    const status = await downloadPromptApiModel({ onProgress: updateDownloadProgress });
+    if (!status.ready) {
+      throw new Error(status.reason || 'The model downloaded but is not ready yet');
+    }
+
+    console.log('✅ On-device model downloaded, using the Prompt API from now on');
+    showStatusNotification('success', '✅ On-device AI is ready, so requests now stay on this device');
+    ready = true;
+  } catch (error) {
+    handleError(error, 'Downloading on-device model');
+    showStatusNotification('failure', `❌ Model download failed: ${error.message}`, 5000);
+  } finally {
+    downloadInProgress = false;
+    if (button) button.disabled = false;
+  }
+
+  // Updates routing, #apiStatus and this section; a failed check doesn't change whether the download worked
+  try {
+    const capabilities = await requestCapabilityCheck('on-device model download finished');
+    updateModelDownloadSection(capabilities);
+  } catch (error) {
+    handleError(error, 'Checking AI capabilities');
+  }
+  return ready;
+}
+
+/**
+ * Sets up the download button and shows the section whenever the model can be downloaded
+ * This function should be called during app initialization
+ */
+export function setupModelDownloadEventListeners() {
+  const button = getElement('btnDownloadModel');
+
+  // The download section only exists on pages that offer the Prompt API
+  if (!button) {
+    return;
+  }
+
+  button.addEventListener('click', () => {
+    startModelDownload().catch(error => handleError(error, 'Downloading on-device model'));
+  });
+
+  // The hint about clicking first goes away once the user has interacted with the page
+  document.addEventListener('pointerdown', updateActivationHint);
+  document.addEventListener('keydown', updateActivationHint);
+
+  subscribeToCapabilities(updateModelDownloadSection);
+}
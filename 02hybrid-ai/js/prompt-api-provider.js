@@ -0,0 +1,170 @@
+/**
+ * Prompt API Provider
+ * Clientside inference through Chrome's built-in Prompt API
+ * Implements the shared provider interface from ai-providers.js
+ * Requests run in clones of warm per-task sessions from prompt-api-sessions.js
+ */
+
+import { getModerationResponseSchema, parseModerationResponse } from '../../common/js/moderation-schema.js';
+import { ALT_TEXT_RESPONSE_SCHEMA, parseAltTextResponse } from '../../common/js/alt-text-schema.js';
+import { buildAltTextPrompt, buildModerationPrompt, buildRewritePrompt } from '../../common/js/prompts.js';
+import { parsePromptApiResponse, checkPromptApiAvailability, checkPromptApiLanguageSupport } from './clientside-ai-helpers.js';
+import { promptWithSession, getSessionTag } from './prompt-api-sessions.js';
+
+/**
+ * Builds the multimodal prompt asking for alt text
+ * @param {HTMLImageElement} imgElement - DOM img element containing the image
+ * @param {string} [imageContext] - Text found in the image file to add to the prompt
+ * @param {string} [language] - Language to write the result in
+ * @returns {Object} - Prompt with the system prompt and a Prompt API message list
+ */
+function buildAltTextMessages(imgElement, imageContext = null, language = 'en') {
+  const { system, user } = buildAltTextPrompt(imageContext, language, { untrustedTag: getSessionTag('alt-text') });
+  // Use the correct multimodal message format for Prompt API
+  return {
+    system,
+    user: [{
+      role: 'user',
+      content: [
+        { type: 'text', value: user },
+        { type: 'image', value: imgElement }
+      ]
+    }]
+  };
+}
+
+/**
+ * Parses the response and throws if the model says it couldn't see the image
+ * @param {string} response - JSON response from the model
+ * @returns {Object} - Result with alt, longDescription and caption
+ */
+function parseImageDescription(response) {
+  const result = parseAltTextResponse(parsePromptApiResponse(response, 'Clientside multimodal image analysis'));
+
+  const lowercaseAlt = result.alt.toLowerCase();
+  if (lowercaseAlt.includes('provide') && lowercaseAlt.includes('image') ||
+      lowercaseAlt.includes("can't see") ||
+      lowercaseAlt.includes('need') && lowercaseAlt.includes('image')) {
+    throw new Error('Prompt API did not process the image successfully');
+  }
+
+  return result;
+}
+
+/**
+ * Creates a Prompt API provider for the AI provider registry
+ * @returns {Object} - Provider implementing the shared provider interface
+ */
+export function createPromptApiProvider() {
+  return {
+    name: 'prompt-api',
+    label: 'Prompt API',
+    model: 'gemini-nano',
+
+    /**
+     * The Prompt API can be used once the on-device model is downloaded
+     * @returns {Promise<boolean>}
+     */
+    async isAvailable() {
+      const status = await checkPromptApiAvailability();
+      if (status.available && status.needsDownload) {
+        console.log('⬇️ Prompt API needs model download');
+      }
+      return !!(status.available && status.ready);
+    },
+
+    /**
+     * Checks that the on-device model can write the requested language
+     * Languages it can't handle are sent to the next provider instead
+     * @param {string} language - BCP 47 language tag
+     * @returns {Promise<boolean>}
+     */
+    async supportsLanguage(language) {
+      return checkPromptApiLanguageSupport(language);
+    },
+
+    /**
+     * Generates alt text, a long description and a caption using the on-device model
+     * @param {HTMLImageElement} imgElement - DOM img element containing the image
+     * @param {AbortController} controller - Abort controller for cancellation
+     * @param {Object} [options] - Options
+     * @param {string} [options.context] - Text found in the image file to add to the prompt
+     * @param {string} [options.language] - Language to write the result in
+     * @returns {Promise<Object>} - Result with alt, longDescription and caption
+     * @throws {AltTextValidationError} - If the response doesn't match the alt text schema
+     */
+    async describeImage(imgElement, controller, { context = null, language = 'en' } = {}) {
+      const response = await promptWithSession('alt-text', buildAltTextMessages(imgElement, context, language), {
+        controller,
+        responseConstraint: ALT_TEXT_RESPONSE_SCHEMA,
+        language
+      });
+      return parseImageDescription(response);
+    },
+
+    /**
+     * Streams alt text from the on-device model as it is generated
+     * @param {HTMLImageElement} imgElement - DOM img element containing the image
+     * @param {Function} onText - Called with the response text generated so far
+     * @param {AbortController} controller - Abort controller for cancellation
+     * @param {Object} [options] - Options
+     * @param {string} [options.context] - Text found in the image file to add to the prompt
+     * @param {string} [options.language] - Language to write the result in
+     * @returns {Promise<Object>} - Result with alt, longDescription and caption
+     * @throws {AltTextValidationError} - If the response doesn't match the alt text schema
+     */
+    async streamDescribeImage(imgElement, onText, controller, { context = null, language = 'en' } = {}) {
+      const response = await promptWithSession('alt-text', buildAltTextMessages(imgElement, context, language), {
+        controller,
+        responseConstraint: ALT_TEXT_RESPONSE_SCHEMA,
+        language,
+        onText
+      });
+      return parseImageDescription(response);
+    },
+
+    /**
+     * Analyzes a comment using the on-device model
+     * @param {string} comment - The comment text to analyze
+     * @param {string} imageDescription - Optional description of the image being commented on
+     * @param {AbortController} [controller] - Optional abort controller for cancellation
+     * @param {Object} [options] - Options
+     * @param {string} [options.language] - Language the comment is written in
+     * @param {string} [options.justification] - The author's explanation of why the comment should be posted as written
+     * @param {string} [options.normalizedComment] - The comment with disguised words spelled out, if that changed it
+     * @returns {Promise<Object>} - Analysis result with a score per moderation category, reason and suggestion
+     * @throws {ModerationValidationError} - If the response doesn't match the moderation schema
+     */
+    async classifyText(comment, imageDescription = null, controller = null, { language = null, justification = null, normalizedComment = null } = {}) {
+      // Constrain the on-device model's output to the shared moderation schema
+      const prompt = buildModerationPrompt(comment, imageDescription, language, {
+        justification,
+        normalizedComment,
+        untrustedTag: getSessionTag('moderation')
+      });
+      const response = await promptWithSession('moderation', prompt, {
+        controller,
+        responseConstraint: getModerationResponseSchema(),
+        language: language || 'en'
+      });
+      const responseText = parsePromptApiResponse(response, 'Clientside comment analysis');
+      return parseModerationResponse(responseText);
+    },
+
+    /**
+     * Rewrites text using the on-device model
+     * @param {string} text - The text to rewrite
+     * @param {string} [instructions] - Optional rewrite instructions
+     * @param {AbortController} [controller] - Optional abort controller for cancellation
+     * @param {Object} [options] - Options
+     * @param {string} [options.language] - Language to write the rewrite in
+     * @returns {Promise<string>} - Rewritten text
+     */
+    async rewriteText(text, instructions = undefined, controller = null, { language = null } = {}) {
+      const prompt = buildRewritePrompt(text, instructions, language, { untrustedTag: getSessionTag('rewrite') });
+      const response = await promptWithSession('rewrite', prompt, { controller, language: language || 'en' });
+      const rewritten = parsePromptApiResponse(response, 'Clientside text rewriting');
+      return rewritten.replace(/^["']|["']$/g, '').trim();
+    }
+  };
+}
@@ -0,0 +1,270 @@
+/**
+ * Prompt API Session Pool
+ * Keeps one warm base session per task (alt text, moderation, rewriting) instead of creating and destroying
+ * a LanguageModel session for every request
+ *
+ * The base session is set up once with the task's system prompt and never prompted itself. Each request
+ * runs in a clone() of it, which starts with the system prompt already processed, and is destroyed afterwards
+ * so requests never see each other's text.
+ *
+ * The base session is recreated when the system prompt or language changes (a new moderation policy,
+ * a comment in another language) or when a session runs out of context. Token usage against the session's
+ * inputQuota is tracked per task, and every session is released when the page is hidden for good (pagehide).
+ * When a session can't be created or a prompt fails, the capability monitor checks whether the model is still there.
+ */
+
+import { createUntrustedTag } from '../../common/js/prompts.js';
+import { readTextStream } from '../../common/js/stream-helpers.js';
+import { createPromptApiSession } from './clientside-ai-helpers.js';
+import { requestCapabilityCheck } from './capability-monitor.js';
+
+// Constants
+export const SESSION_TASKS = ['alt-text', 'moderation', 'rewrite'];
+
+// Base session for each task: { key (its language and system prompt), sessionPromise, overflowed }
+const baseSessions = new Map();
+
+// Tag name wrapping untrusted text for each task, kept for the page's lifetime so the system prompt stays the same
+const untrustedTags = new Map();
+
+// Token usage for each task: { requests, recreated, baseUsage, lastUsage, inputQuota }
+const usageStats = new Map();
+
+/**
+ * Checks that a task is one the pool knows
+ * @param {string} task - Task name
+ * @throws {Error} - If the task is unknown
+ */
+function validateTask(task) {
+  if (!SESSION_TASKS.includes(task)) {
+    throw new Error(`Unknown Prompt API session task: ${task}. Tasks: ${SESSION_TASKS.join(', ')}`);
+  }
+}
+
+/**
+ * Reads how much of its context window a session has used
+ * Older Chrome versions call these tokensSoFar and maxTokens
+ * @param {Object} session - LanguageModel session
+ * @returns {Object} - Object with inputUsage and inputQuota, either of which may be null if unknown
+ */
+function readUsage(session) {
+  return {
+    inputUsage: session.inputUsage ?? session.tokensSoFar ?? null,
+    inputQuota: session.inputQuota ?? session.maxTokens ?? null
+  };
+}
+
+/**
+ * Gets the stats record for a task, creating it if needed
+ * @param {string} task - Task name
+ * @returns {Object} - Mutable stats record
+ */
+function getStats(task) {
+  if (!usageStats.has(task)) {
+    usageStats.set(task, { requests: 0, recreated: 0, baseUsage: null, lastUsage: null, inputQuota: null });
+  }
+  return usageStats.get(task);
+}
+
+/**
+ * Gets the tag name a task's prompts should wrap untrusted text in
+ * The same tag is used for the page's lifetime, so the task's system prompt (and its base session) can be reused
+ * @param {string} task - Task name, one of SESSION_TASKS
+ * @returns {string} - Tag name to pass to the build...Prompt() functions as untrustedTag
+ */
+export function getSessionTag(task) {
+  validateTask(task);
+  if (!untrustedTags.has(task)) {
+    untrustedTags.set(task, createUntrustedTag());
+  }
+  return untrustedTags.get(task);
+}
+
+/**
+ * Asks the capability monitor to check the on-device model again after a failure
+ * Cancelled requests don't count
+ * @param {Error} error - The failure
+ * @param {string} task - Task name
+ */
+function reportSessionFailure(error, task) {
+  if (error.name === 'AbortError') {
+    return;
+  }
+  requestCapabilityCheck(`Prompt API ${task} session failed (${error.message})`)
+    .catch(checkError => console.warn('⚠️ Could not check AI capabilities:', checkError.message));
+}
+
+/**
+ * Destroys a task's base session
+ * @param {string} task - Task name
+ */
+function discardBaseSession(task) {
+  const base = baseSessions.get(task);
+  if (!base) {
+    return;
+  }
+
+  baseSessions.delete(task);
+  base.sessionPromise
+    .then(session => session?.destroy?.())
+    .catch(() => {
+      // It never got created, so there's nothing to release
+    });
+}
+
+/**
+ * Gets the warm base session for a task, creating it when there is none or its setup has changed
+ * @param {string} task - Task name
+ * @param {string} system - The task's system prompt
+ * @param {string} language - Language the session reads and writes
+ * @returns {Promise<Object>} - Base session; never prompt it directly, clone it
+ */
+async function getBaseSession(task, system, language) {
+  const key = `${language}\n${system}`;
+  const existing = baseSessions.get(task);
+  if (existing && existing.key === key && !existing.overflowed) {
+    return existing.sessionPromise;
+  }
+
+  if (existing) {
+    discardBaseSession(task);
+    getStats(task).recreated++;
+  }
+
+  const base = { key, overflowed: false, sessionPromise: null };
+  base.sessionPromise = createPromptApiSession({ languages: [language], systemPrompt: system }).then(session => {
+    if (!session) {
+      throw new Error('Failed to create Prompt API session');
+    }
+
+    // If even the base session overflows, the system prompt may have been dropped
+    session.addEventListener?.('quotaoverflow', () => {
+      base.overflowed = true;
+    });
+
+    const stats = getStats(task);
+    const { inputUsage, inputQuota } = readUsage(session);
+    stats.baseUsage = inputUsage;
+    stats.inputQuota = inputQuota;
+    console.log(`✅ Prompt API ${task} session ready (${inputUsage ?? '?'} of ${inputQuota ?? '?'} tokens used by its instructions)`);
+    return session;
+  });
+  baseSessions.set(task, base);
+
+  try {
+    return await base.sessionPromise;
+  } catch (error) {
+    // Let the next request try again
+    if (baseSessions.get(task) === base) {
+      baseSessions.delete(task);
+    }
+    reportSessionFailure(error, task);
+    throw error;
+  }
+}
+
+/**
+ * Clones a task's base session, recreating the base once if it can no longer be cloned
+ * @param {string} task - Task name
+ * @param {string} system - The task's system prompt
+ * @param {string} language - Language the session reads and writes
+ * @param {AbortSignal} [signal] - Signal that cancels the clone
+ * @returns {Promise<Object>} - A fresh session with the system prompt already processed
+ */
+async function cloneBaseSession(task, system, language, signal) {
+  const base = await getBaseSession(task, system, language);
+  try {
+    return await base.clone(signal ? { signal } : {});
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+    console.warn(`⚠️ Prompt API ${task} session could not be cloned, recreating it:`, error.message);
+    discardBaseSession(task);
+    getStats(task).recreated++;
+    const freshBase = await getBaseSession(task, system, language);
+    return freshBase.clone(signal ? { signal } : {});
+  }
+}
+
+/**
+ * Runs a prompt in a clone of the task's base session
+ * @param {string} task - Task name, one of SESSION_TASKS
+ * @param {Object} prompt - Prompt from prompts.js with system text and user text or a multimodal message list,
+ *   built with getSessionTag(task) as its untrustedTag
+ * @param {Object} [options] - Options
+ * @param {AbortController} [options.controller] - Abort controller for cancellation
+ * @param {Object} [options.responseConstraint] - JSON Schema the response must follow
+ * @param {string} [options.language] - Language of the prompt and response
+ * @param {Function} [options.onText] - Streams the response, calling this with the full text received so far
+ * @returns {Promise<string>} - Raw response text
+ * @throws {Error} - If the prompt doesn't fit in the session's context window, or the session overflowed
+ */
+export async function promptWithSession(task, { system, user }, { controller = null, responseConstraint = null, language = 'en', onText = null } = {}) {
+  validateTask(task);
+  const signal = controller?.signal;
+  const session = await cloneBaseSession(task, system, language, signal);
+
+  let overflowed = false;
+  session.addEventListener?.('quotaoverflow', () => {
+    overflowed = true;
+  });
+
+  try {
+    const options = {};
+    if (signal) options.signal = signal;
+    if (responseConstraint) options.responseConstraint = responseConstraint;
+
+    // Fail fast, so the registry can hand a prompt that won't fit to the next provider
+    const before = readUsage(session);
+    if (session.measureInputUsage && before.inputUsage !== null && before.inputQuota !== null) {
+      const needed = await session.measureInputUsage(user, options);
+      if (before.inputUsage + needed > before.inputQuota) {
+        throw new Error(`Prompt is too long for the on-device model (${needed} tokens, ${before.inputQuota - before.inputUsage} left)`);
+      }
+    }
+
+    const response = onText
+      ? await readTextStream(session.promptStreaming(user, options), onText)
+      : await session.prompt(user, options);
+
+    const stats = getStats(task);
+    stats.requests++;
+    stats.lastUsage = readUsage(session).inputUsage;
+
+    if (overflowed) {
+      // Older text, including the instructions, was dropped to make room, so the response can't be trusted
+      const base = baseSessions.get(task);
+      if (base) {
+        base.overflowed = true;
+      }
+      throw new Error('The on-device model ran out of context for this request');
+    }
+
+    return response;
+  } catch (error) {
+    reportSessionFailure(error, task);
+    throw error;
+  } finally {
+    session.destroy?.();
+  }
+}
+
+/**
+ * Gets token usage for each task that has used a session
+ * @returns {Object} - Stats by task: requests served, times the base session was recreated, tokens used
+ *   by the base session's instructions (baseUsage) and after the last request (lastUsage), and the inputQuota
+ */
+export function getPromptApiSessionStats() {
+  return Object.fromEntries([...usageStats].map(([task, stats]) => [task, { ...stats }]));
+}
+
+/**
+ * Destroys every base session; the next request creates new ones
+ */
+export function releasePromptApiSessions() {
+  [...baseSessions.keys()].forEach(discardBaseSession);
+}
+
+// Sessions hold on to the model's memory, so give it back when the page goes away
+window.addEventListener('pagehide', releasePromptApiSessions);
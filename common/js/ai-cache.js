@@ -0,0 +1,152 @@
+/**
+ * AI Result Cache
+ * Reuses alt text and moderation results when the same request comes up again, such as re-uploading
+ * an image or posting the same comment twice, instead of making another model call
+ *
+ * Results are stored in IndexedDB (storage.js) under a SHA-256 hash of everything that went into the request:
+ * - alt text: the image bytes, the languages asked for and any text from the image file
+ * - moderation: the normalized comment, the image description, the author's explanation and the moderation policy,
+ *   so changing a category's threshold or description never reuses an old verdict
+ *
+ * Entries expire after a time to live, and the oldest are dropped once there are more than the size cap.
+ * Cache failures are logged and treated as a miss, so the AI is always there to fall back on. That includes
+ * failing to build a key, e.g. where crypto.subtle is missing because the page isn't served over HTTPS:
+ * the key is then null, and results are neither read nor cached.
+ */
+
+import { loadCacheEntry, saveCacheEntry, pruneCacheEntries, clearCacheEntries } from './storage.js';
+import { getModerationPolicy } from './moderation-policy.js';
+
+// Constants
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const DEFAULT_MAX_ENTRIES = 500;
+const CACHE_FORMAT_VERSION = 1; // Bump when prompts or result shapes change, so old results are never reused
+
+// Current limits
+let ttlMs = DEFAULT_TTL_MS;
+let maxEntries = DEFAULT_MAX_ENTRIES;
+
+/**
+ * Changes how long results are kept and how many
+ * @param {Object} limits - New limits; leave one out to keep it
+ * @param {number} [limits.ttlMs] - How long a result can be reused, in milliseconds
+ * @param {number} [limits.maxEntries] - Most results to keep; 0 turns the cache off
+ */
+export function setAiCacheLimits({ ttlMs: newTtlMs = ttlMs, maxEntries: newMaxEntries = maxEntries } = {}) {
+  if (typeof newTtlMs !== 'number' || newTtlMs < 0) {
+    throw new Error('Cache time to live must be a number of milliseconds, 0 or more');
+  }
+  if (!Number.isInteger(newMaxEntries) || newMaxEntries < 0) {
+    throw new Error('Cache size must be a whole number, 0 or more');
+  }
+  ttlMs = newTtlMs;
+  maxEntries = newMaxEntries;
+}
+
+/**
+ * Hashes content with SHA-256
+ * @param {string|BufferSource} content - Text or bytes to hash
+ * @returns {Promise<string>} - Lowercase hex digest
+ */
+async function hashContent(content) {
+  const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Creates the cache key for an alt text request
+ * @param {string} imageData - Data URL of the image exactly as it is sent to the AI
+ * @param {Object} [options] - The other parts of the request
+ * @param {string[]} [options.languages] - Languages asked for, the main language first
+ * @param {string} [options.context] - Text from the image file added to the prompt
+ * @returns {Promise<string|null>} - Cache key, or null if it couldn't be built
+ */
+export async function getAltTextCacheKey(imageData, { languages = ['en'], context = null } = {}) {
+  try {
+    const imageBytes = await (await fetch(imageData)).arrayBuffer();
+    const [imageHash, requestHash] = await Promise.all([
+      hashContent(imageBytes),
+      hashContent(JSON.stringify({ version: CACHE_FORMAT_VERSION, languages, context }))
+    ]);
+    return `alt-text:${imageHash}:${requestHash}`;
+  } catch (error) {
+    console.warn('⚠️ AI cache key could not be built, skipping the cache:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Creates the cache key for a moderation request
+ * @param {string} normalizedComment - The comment with disguised words spelled out (see text-normalization.js)
+ * @param {string|null} imageDescription - Description of the image being commented on
+ * @param {string|null} [justification] - The author's explanation of a flagged comment
+ * @returns {Promise<string|null>} - Cache key, or null if it couldn't be built
+ */
+export async function getModerationCacheKey(normalizedComment, imageDescription, justification = null) {
+  try {
+    const requestHash = await hashContent(JSON.stringify({
+      version: CACHE_FORMAT_VERSION,
+      comment: normalizedComment,
+      imageDescription,
+      justification,
+      policy: getModerationPolicy()
+    }));
+    return `moderation:${requestHash}`;
+  } catch (error) {
+    console.warn('⚠️ AI cache key could not be built, skipping the cache:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Gets a cached result
+ * @param {string|null} key - Key from getAltTextCacheKey() or getModerationCacheKey()
+ * @returns {Promise<*>} - The cached result, or null if there is none, it has expired or the key is null
+ */
+export async function getCachedResult(key) {
+  if (maxEntries === 0 || !key) {
+    return null;
+  }
+
+  try {
+    const entry = await loadCacheEntry(key);
+    if (!entry || Date.now() - entry.storedAt >= ttlMs) {
+      return null;
+    }
+    return entry.value;
+  } catch (error) {
+    console.warn('⚠️ AI cache could not be read:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Caches a result, then drops expired entries and the oldest ones over the size cap
+ * Failures are logged rather than thrown
+ * @param {string|null} key - Key from getAltTextCacheKey() or getModerationCacheKey(); nothing is cached if null
+ * @param {*} value - Result to cache; must be storable in IndexedDB
+ * @returns {Promise<void>} - Resolves when the result is cached
+ */
+export async function setCachedResult(key, value) {
+  if (maxEntries === 0 || !key) {
+    return;
+  }
+
+  try {
+    const storedAt = Date.now();
+    await saveCacheEntry({ key, value, storedAt });
+    await pruneCacheEntries({ storedAfter: storedAt - ttlMs, maxEntries });
+  } catch (error) {
+    console.warn('⚠️ AI result could not be cached:', error.message);
+  }
+}
+
+/**
+ * Deletes every cached result
+ * @returns {Promise<void>} - Resolves when the cache is empty
+ */
+export async function clearAiCache() {
+  await clearCacheEntries();
+  console.log('🗑️ AI cache cleared');
+}
@@ -0,0 +1,281 @@
+/**
+ * AI Provider Registry
+ * One interface shared by every AI backend (Gemini, Prompt API, ...)
+ * The alt text and comment moderation flows pick providers from here instead of calling a backend directly
+ *
+ * A provider is a plain object with:
+ * - name: Unique id used for routing (e.g. 'gemini', 'prompt-api')
+ * - label: Human-friendly name used in logs
+ * - model: Optional; name of the model it runs, recorded in the moderation log
+ * - isAvailable(): Resolves to true when the provider can take requests right now
+ * - supportsLanguage(language): Optional; resolves to false for languages the provider can't write,
+ *   so requests in that language go to the next provider
+ * - describeImage(imgElement, controller, options): Resolves to a result matching alt-text-schema.js
+ *   (options.context is extra text from the image file for the prompt and options.language the language
+ *   to write in, see buildAltTextPrompt())
+ * - streamDescribeImage(imgElement, onText, controller, options): Optional; like describeImage but calls onText
+ *   with the raw response text as it arrives
+ * - classifyText(comment, imageDescription, controller, options): Resolves to a result matching moderation-schema.js
+ *   (options.language is the comment's language, which the reason and suggestion are written in, and
+ *   options.justification the author's explanation when they ask to post a flagged comment anyway, and
+ *   options.normalizedComment the comment with disguised words spelled out)
+ * - rewriteText(text, instructions, controller, options): Resolves to the rewritten text, in options.language
+ * - detectLanguage(text, controller): Optional; resolves to a result matching LANGUAGE_DETECTION_SCHEMA
+ *   from language-detection.js
+ *
+ * Prompts from prompts.js are { system, user }. Providers must send system as the backend's system instructions
+ * and user as a separate message, never join the two: user holds the untrusted text.
+ */
+
+import { extractPartialAltText } from './alt-text-schema.js';
+
+const REQUIRED_METHODS = ['isAvailable', 'describeImage', 'classifyText', 'rewriteText'];
+
+// Registered providers by name
+const providers = new Map();
+
+// Provider names in the order they should be tried
+let providerOrder = [];
+
+/**
+ * Registers an AI provider so the app flows can use it
+ * Providers are tried in registration order unless setProviderOrder() is called
+ * @param {Object} provider - Provider object implementing the provider interface
+ */
+export function registerProvider(provider) {
+  if (!provider || typeof provider !== 'object') {
+    throw new Error('Provider object is required');
+  }
+  if (typeof provider.name !== 'string' || !provider.name.trim()) {
+    throw new Error('Provider name must be a non-empty string');
+  }
+  for (const method of REQUIRED_METHODS) {
+    if (typeof provider[method] !== 'function') {
+      throw new Error(`Provider "${provider.name}" must implement ${method}()`);
+    }
+  }
+
+  providers.set(provider.name, provider);
+  if (!providerOrder.includes(provider.name)) {
+    providerOrder.push(provider.name);
+  }
+}
+
+/**
+ * Gets a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} - Provider object or null if not registered
+ */
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Sets the order in which providers are tried
+ * @param {string[]} names - Provider names, first choice first
+ */
+export function setProviderOrder(names) {
+  if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+    throw new Error('Provider order must be an array of provider names');
+  }
+  providerOrder = [...names];
+}
+
+/**
+ * Gets the order in which providers are tried
+ * @returns {string[]} - Provider names, first choice first
+ */
+export function getProviderOrder() {
+  return [...providerOrder];
+}
+
+/**
+ * Runs a task on the first available provider, falling back to the next on failure
+ * @param {Function} task - Called with a provider; returns a promise for the result
+ * @param {AbortController|null} controller - Abort controller for cancellation
+ * @param {string} context - Description of the task for logs and errors
+ * @param {Object} [requirements] - What the provider must support
+ * @param {string} [requirements.language] - Language the provider must be able to write
+ * @param {string} [requirements.method] - Optional provider method the task needs
+ * @returns {Promise<*>} - Result from the first provider that succeeds
+ */
+async function runWithFallback(task, controller, context, { language = null, method = null } = {}) {
+  let lastError = null;
+
+  for (const name of providerOrder) {
+    const provider = providers.get(name);
+    if (!provider) {
+      continue;
+    }
+
+    const label = provider.label || provider.name;
+    if (method && typeof provider[method] !== 'function') {
+      continue;
+    }
+    if (!(await provider.isAvailable())) {
+      console.log(`ℹ️ ${label} not available, skipping for ${context}`);
+      continue;
+    }
+    if (language && typeof provider.supportsLanguage === 'function' && !(await provider.supportsLanguage(language))) {
+      console.log(`ℹ️ ${label} doesn't support ${language}, skipping for ${context}`);
+      continue;
+    }
+
+    try {
+      return await task(provider);
+    } catch (error) {
+      // If operation was aborted, don't fallback - just rethrow
+      if (error.name === 'AbortError' || controller?.signal.aborted) {
+        throw error;
+      }
+      console.warn(`⚠️ ${label} failed for ${context}, trying next provider:`, error.message);
+      lastError = error;
+    }
+  }
+
+  if (lastError) {
+    throw lastError;
+  }
+  throw new Error(`No AI provider available for ${context}. Please configure your Google AI API key.`);
+}
+
+/**
+ * Generates alt text, a long description and a caption for an image using the best available provider
+ * Each language is a separate request, so it can go to whichever provider supports that language
+ * @param {HTMLImageElement} imgElement - DOM img element containing the image
+ * @param {AbortController} controller - Abort controller for cancellation
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.onText] - Called with the alt text generated so far in the first language,
+ *   for providers that can stream
+ * @param {string} [options.context] - Text found in the image file (e.g. an SVG's title) to add to the prompt
+ * @param {string[]} [options.languages] - Languages to generate in, the main language first
+ * @returns {Promise<Object>} - Result with alt, longDescription and caption in the main language, its language,
+ *   and translations: the same fields for each other language
+ */
+export async function describeImage(imgElement, controller, { onText = null, context = null, languages = ['en'] } = {}) {
+  if (!imgElement || !(imgElement instanceof HTMLImageElement)) {
+    throw new Error('Valid HTMLImageElement is required');
+  }
+  if (!controller || !(controller instanceof AbortController)) {
+    throw new Error('AbortController instance is required');
+  }
+  if (!Array.isArray(languages) || languages.length === 0) {
+    throw new Error('At least one language is required');
+  }
+
+  const results = [];
+  // One language at a time, so on-device models aren't asked to run several prompts at once
+  for (const [index, language] of languages.entries()) {
+    const streamText = index === 0 ? onText : null;
+    const result = await runWithFallback((provider) => {
+      if (streamText && typeof provider.streamDescribeImage === 'function') {
+        // Providers stream the raw JSON response; only the alt text is shown while it arrives
+        const onResponseText = (responseText) => {
+          const altText = extractPartialAltText(responseText);
+          if (altText) {
+            streamText(altText);
+          }
+        };
+        return provider.streamDescribeImage(imgElement, onResponseText, controller, { context, language });
+      }
+      return provider.describeImage(imgElement, controller, { context, language });
+    }, controller, `image analysis (${language})`, { language });
+    results.push({ language, ...result });
+  }
+
+  const [main, ...translations] = results;
+  return { ...main, translations };
+}
+
+/**
+ * Classifies a comment for toxicity and tone using the best available provider
+ * @param {string} comment - The comment text to analyze
+ * @param {string} imageDescription - Optional description of the image being commented on
+ * @param {AbortController} [controller] - Optional abort controller for cancellation
+ * @param {Object} [options] - Options
+ * @param {string} [options.language] - Language the comment is written in; providers that can't write it are skipped
+ * @param {string} [options.justification] - The author's explanation of why the comment should be posted as written
+ * @param {string} [options.normalizedComment] - The comment with disguised words spelled out (see text-normalization.js),
+ *   if that changed it
+ * @returns {Promise<Object>} - Analysis result with a score per moderation category, reason and suggestion,
+ *   plus the provider name and model that produced it
+ */
+export function classifyText(comment, imageDescription = null, controller = null, { language = null, justification = null, normalizedComment = null } = {}) {
+  if (typeof comment !== 'string' || !comment.trim()) {
+    throw new Error('Comment must be a non-empty string');
+  }
+
+  return runWithFallback(
+    async provider => ({
+      ...(await provider.classifyText(comment, imageDescription, controller, { language, justification, normalizedComment })),
+      provider: provider.name,
+      model: provider.model ?? null
+    }),
+    controller,
+    'comment analysis',
+    { language }
+  );
+}
+
+/**
+ * Rewrites text following the given instructions using the best available provider
+ * @param {string} text - The text to rewrite
+ * @param {string} instructions - Optional rewrite instructions
+ * @param {AbortController} [controller] - Optional abort controller for cancellation
+ * @param {Object} [options] - Options
+ * @param {string} [options.language] - Language to write the rewrite in (the text's own language)
+ * @returns {Promise<string>} - Rewritten text
+ */
+export function rewriteText(text, instructions = undefined, controller = null, { language = null } = {}) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Text must be a non-empty string');
+  }
+
+  return runWithFallback(
+    provider => provider.rewriteText(text, instructions, controller, { language }),
+    controller,
+    'text rewriting',
+    { language }
+  );
+}
+
+/**
+ * Detects the language of a piece of text using the first provider that can
+ * @param {string} text - Text to check
+ * @param {AbortController} [controller] - Optional abort controller for cancellation
+ * @returns {Promise<Object>} - Result with language (or null if undetermined), confidence and source (provider name)
+ */
+export async function detectTextLanguage(text, controller = null) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Text must be a non-empty string');
+  }
+
+  return runWithFallback(
+    async provider => ({ ...(await provider.detectLanguage(text, controller)), source: provider.name }),
+    controller,
+    'language detection',
+    { method: 'detectLanguage' }
+  );
+}
+
+/**
+ * Splits a base64 image data URL into MIME type and data
+ * @param {string} imageData - Base64 data URL of the image
+ * @returns {Object} - Object with mimeType and base64Data
+ */
+export function parseImageDataUrl(imageData) {
+  if (typeof imageData !== 'string' || !imageData.startsWith('data:image/')) {
+    throw new Error('Valid image data URL is required');
+  }
+
+  const [mimeInfo, base64Data] = imageData.split(',');
+  const mimeMatch = mimeInfo.match(/data:([^;]+)/);
+  if (!mimeMatch || !mimeMatch[1]) {
+    throw new Error('Invalid image data format. Expected data URL with MIME type.');
+  }
+  if (!base64Data) {
+    throw new Error('No image data found in the data URL');
+  }
+
+  return { mimeType: mimeMatch[1], base64Data };
+}
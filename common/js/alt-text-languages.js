@@ -0,0 +1,170 @@
+/**
+ * Alt Text Language Settings
+ * Chooses which language(s) alt text is generated in and manages the language settings form
+ *
+ * The target language is either fixed (e.g. 'fr') or follows the page's <html lang>, and extra
+ * languages can be added so every image gets alt text in several languages at once.
+ * Languages are BCP 47 tags such as 'en', 'pt-BR' or 'ja'.
+ */
+
+import { showStatusNotification } from './ui-helpers.js';
+
+// Constants
+const STORAGE_KEY = 'altTextLanguages';
+const PAGE_LANGUAGE = 'page'; // Target language value meaning "match the page language"
+const FALLBACK_LANGUAGE = 'en';
+const MAX_LANGUAGES = 5; // Each language is a separate model request
+
+// Current settings
+let languageSettings = { target: PAGE_LANGUAGE, additional: [] };
+
+/**
+ * Canonicalizes a BCP 47 language tag
+ * @param {string} language - Language tag to check
+ * @returns {string|null} - Canonical tag (e.g. 'pt-BR'), or null if it isn't a valid tag
+ */
+export function normalizeLanguageTag(language) {
+  if (typeof language !== 'string' || !language.trim()) {
+    return null;
+  }
+  try {
+    return Intl.getCanonicalLocales(language.trim())[0];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gets the page's language from <html lang>, falling back to the browser language
+ * @returns {string} - Canonical language tag
+ */
+export function getPageLanguage() {
+  return normalizeLanguageTag(document.documentElement.lang) ||
+    normalizeLanguageTag(navigator.language) ||
+    FALLBACK_LANGUAGE;
+}
+
+/**
+ * Gets a language's English name for prompts and labels
+ * @param {string} language - Language tag
+ * @returns {string} - Name such as 'French', or the tag itself if the browser doesn't know it
+ */
+export function getLanguageName(language) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+  } catch {
+    return language;
+  }
+}
+
+/**
+ * Gets the languages alt text should be generated in
+ * @returns {string[]} - Canonical language tags, the target language first and without duplicates
+ */
+export function getAltTextLanguages() {
+  const target = languageSettings.target === PAGE_LANGUAGE ? getPageLanguage() : languageSettings.target;
+  return [...new Set([target, ...languageSettings.additional])];
+}
+
+/**
+ * Gets the current language settings
+ * @returns {Object} - Settings with target ('page' or a language tag) and additional (language tags)
+ */
+export function getAltTextLanguageSettings() {
+  return { target: languageSettings.target, additional: [...languageSettings.additional] };
+}
+
+/**
+ * Validates and saves the language settings
+ * @param {Object} settings - Settings to save
+ * @param {string} settings.target - 'page' to match the page language, or a language tag
+ * @param {string[]} [settings.additional] - Extra languages to generate alt text in
+ * @returns {boolean} - True if the settings were saved
+ */
+export function saveAltTextLanguageSettings({ target, additional = [] }) {
+  const normalizedTarget = target === PAGE_LANGUAGE ? PAGE_LANGUAGE : normalizeLanguageTag(target);
+  const normalizedAdditional = additional.map(normalizeLanguageTag);
+
+  if (!normalizedTarget) {
+    showStatusNotification('failure', `❌ "${target}" is not a valid language code`, 4000);
+    return false;
+  }
+  const invalidIndex = normalizedAdditional.indexOf(null);
+  if (invalidIndex !== -1) {
+    showStatusNotification('failure', `❌ "${additional[invalidIndex]}" is not a valid language code (try e.g. "fr" or "pt-BR")`, 4000);
+    return false;
+  }
+  if (new Set([normalizedTarget, ...normalizedAdditional]).size > MAX_LANGUAGES) {
+    showStatusNotification('failure', `❌ Alt text can be generated in at most ${MAX_LANGUAGES} languages`, 4000);
+    return false;
+  }
+
+  languageSettings = { target: normalizedTarget, additional: [...new Set(normalizedAdditional)] };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(languageSettings));
+
+  const names = getAltTextLanguages().map(getLanguageName).join(', ');
+  showStatusNotification('success', `🌐 Alt text will be generated in ${names}`);
+  return true;
+}
+
+/**
+ * Loads the saved language settings from localStorage
+ * Fills the settings form if it exists on the page
+ */
+export function loadAltTextLanguageSettings() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (saved) {
+    try {
+      const parsed = JSON.parse(saved);
+      languageSettings = {
+        target: parsed.target === PAGE_LANGUAGE ? PAGE_LANGUAGE : normalizeLanguageTag(parsed.target) || PAGE_LANGUAGE,
+        additional: (parsed.additional || []).map(normalizeLanguageTag).filter(Boolean)
+      };
+    } catch (error) {
+      console.warn('⚠️ Ignoring invalid alt text language settings:', error.message);
+    }
+  }
+
+  const targetSelect = document.getElementById('altTextLanguage');
+  const additionalInput = document.getElementById('altTextAdditionalLanguages');
+  if (targetSelect) {
+    // Keep a saved language selectable even if it isn't one of the preset options
+    if (![...targetSelect.options].some(option => option.value === languageSettings.target)) {
+      targetSelect.add(new Option(getLanguageName(languageSettings.target), languageSettings.target));
+    }
+    targetSelect.value = languageSettings.target;
+
+    const pageOption = targetSelect.querySelector(`option[value="${PAGE_LANGUAGE}"]`);
+    if (pageOption) {
+      pageOption.textContent = `Match page language (${getLanguageName(getPageLanguage())})`;
+    }
+  }
+  if (additionalInput) {
+    additionalInput.value = languageSettings.additional.join(', ');
+  }
+}
+
+/**
+ * Sets up event listeners for the language settings form
+ * This function should be called during app initialization
+ */
+export function setupAltTextLanguageEventListeners() {
+  const targetSelect = document.getElementById('altTextLanguage');
+  const additionalInput = document.getElementById('altTextAdditionalLanguages');
+  if (!targetSelect || !additionalInput) {
+    return;
+  }
+
+  const saveFromForm = () => {
+    const saved = saveAltTextLanguageSettings({
+      target: targetSelect.value,
+      additional: additionalInput.value.split(',').map(language => language.trim()).filter(Boolean)
+    });
+    if (saved) {
+      additionalInput.value = languageSettings.additional.join(', ');
+    }
+  };
+
+  targetSelect.addEventListener('change', saveFromForm);
+  additionalInput.addEventListener('change', saveFromForm);
+}
@@ -0,0 +1,373 @@
+/**
+ * Alt Text Linter
+ * Rule-based checks for common alt text problems, each with a one-click fix,
+ * and a severity policy that decides whether a post is blocked, warned about or allowed
+ *
+ * A rule is a plain object with:
+ * - id: Unique rule id
+ * - severity: 'error', 'warning' or 'info'
+ * - check(text, context): Returns a message describing the problem, or null if the text passes
+ * - fixLabel: Button text for the fix
+ * - fix(text, context): Returns the fixed text; rules with fixAction: 'regenerate' ask for new alt text instead
+ */
+
+// Constants
+export const MAX_ALT_TEXT_LENGTH = 125; // Same limit the alt text prompt asks for
+const SEVERITY_ORDER = ['info', 'warning', 'error'];
+const POLICY_ACTIONS = ['allow', 'warn', 'block'];
+const REGENERATE_FIX_LABEL = '🔄 Regenerate';
+const DEFAULT_POLICY = {
+  error: 'block',
+  warning: 'warn',
+  info: 'allow'
+};
+
+// "Image of", "A photo showing", ... (screen readers already announce that it's an image)
+const REDUNDANT_PREFIX_PATTERN = /^(?:an?\s+|the\s+)?(?:image|picture|photo|photograph|pic|graphic)\s+(?:of|showing|that shows|depicting)\s+/i;
+
+// Camera and screenshot file names, e.g. IMG_1234, DSC01234, PXL_20250101_123456, Screenshot 2025-01-01
+const CAMERA_FILENAME_PATTERN = /\b(?:IMG|DSC|DSCN|DCIM|PXL|MVIMG|GOPR|DJI)[_-]?\d[\w-]*(?:\.\w{3,4})?\b|\bScreen ?shot[\s_-]\d{4}-\d{2}-\d{2}(?:[\s_-]+(?:at[\s_-]+)?\d{1,2}[.:]\d{2}(?:[.:]\d{2})?(?:\s?[AP]M)?)?(?:\.\w{3,4})?/gi;
+
+// Names that look generated rather than chosen by a person: an underscore, or letters and digits run together
+const GENERATED_NAME_PATTERN = /_|\p{L}[\p{L}-]*\d|\d[\d-]*\p{L}/u;
+
+// Text that stands in for alt text rather than describing anything
+const PLACEHOLDER_PATTERN = /^(?:alt(?:\s+text)?|image|img|photo|picture|graphic|untitled|placeholder|description|todo|tbd|n\/a|none|null|undefined|\.+)$|lorem ipsum|\[(?:alt|description|image)[^\]]*\]|insert alt text|add alt text here/i;
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic}|\p{Emoji_Modifier})*/gu;
+
+// Spoken names for emoji that often end up in alt text; any others are removed by the fix
+const EMOJI_NAMES = {
+  '❤️': 'red heart',
+  '❤': 'red heart',
+  '😀': 'grinning face',
+  '😂': 'face with tears of joy',
+  '😍': 'smiling face with heart eyes',
+  '😊': 'smiling face',
+  '😢': 'crying face',
+  '👍': 'thumbs up',
+  '👏': 'clapping hands',
+  '🙏': 'folded hands',
+  '🔥': 'fire',
+  '✨': 'sparkles',
+  '🎉': 'party popper',
+  '⭐': 'star',
+  '🌟': 'glowing star',
+  '☀️': 'sun',
+  '🌈': 'rainbow',
+  '🐶': 'dog face',
+  '🐱': 'cat face',
+  '🌸': 'cherry blossom'
+};
+
+// Current severity policy: what happens on accept for each severity
+let lintPolicy = { ...DEFAULT_POLICY };
+
+/**
+ * Capitalizes the first letter of a string
+ * @param {string} text - Text to capitalize
+ * @returns {string} - Text with an uppercase first letter
+ */
+function capitalizeFirst(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Tidies text after something has been removed from it
+ * @param {string} text - Text to tidy
+ * @returns {string} - Text with collapsed whitespace and no dangling punctuation at the start
+ */
+function tidyText(text) {
+  return capitalizeFirst(
+    text
+      .replace(/\s{2,}/g, ' ')
+      .replace(/\s+([,.;:!?])/g, '$1')
+      .replace(/^[\s,.;:-]+/, '')
+      .trim()
+  );
+}
+
+/**
+ * Escapes text for use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Gets the forms of the uploaded file's name that count as a file name echo
+ * The name with its extension always does. The name without it only does when it looks generated
+ * ("beach_day", "final-v2"), because names people choose ("puppy", "sunset over the bay") are often
+ * the right words for the alt text too.
+ * @param {string} fileName - Uploaded file name
+ * @returns {string[]} - Name variants worth checking for
+ */
+function getFileNameVariants(fileName) {
+  const name = fileName?.trim();
+  if (!name) {
+    return [];
+  }
+
+  const baseName = name.replace(/\.[^.]+$/, '');
+  const variants = baseName !== name ? [name] : [];
+  if (GENERATED_NAME_PATTERN.test(baseName)) {
+    variants.push(baseName);
+  }
+  return variants;
+}
+
+/**
+ * Builds a pattern matching file names as whole words in the text
+ * @param {Object} context - Lint context
+ * @returns {RegExp|null} - Case-insensitive global pattern, or null if there is no file name to look for
+ */
+function buildFileNamePattern(context) {
+  const variants = getFileNameVariants(context.fileName)
+    // Longest first, so "beach_day.jpg" is matched whole rather than as "beach_day"
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  if (variants.length === 0) {
+    return null;
+  }
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${variants.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+/**
+ * Finds file-name-like strings in the text
+ * @param {string} text - Alt text
+ * @param {Object} context - Lint context
+ * @returns {string[]} - Matching substrings
+ */
+function findFileNames(text, context) {
+  const matches = [...text.matchAll(CAMERA_FILENAME_PATTERN)].map(match => match[0]);
+  const fileNamePattern = buildFileNamePattern(context);
+  if (fileNamePattern) {
+    matches.push(...[...text.matchAll(fileNamePattern)].map(match => match[0]));
+  }
+  return matches;
+}
+
+/**
+ * Shortens text to the length limit, preferring whole sentences, then whole clauses or words
+ * @param {string} text - Text to shorten
+ * @returns {string} - Shortened text
+ */
+function shortenText(text) {
+  const sentences = text.match(/[^.!?]+[.!?]+/g) || [];
+  let shortened = '';
+  for (const sentence of sentences) {
+    if ((shortened + sentence).trim().length > MAX_ALT_TEXT_LENGTH) break;
+    shortened += sentence;
+  }
+  if (shortened.trim()) {
+    return shortened.trim();
+  }
+
+  // The first sentence alone is too long: cut at the last clause or word that fits
+  const head = text.slice(0, MAX_ALT_TEXT_LENGTH);
+  const cut = Math.max(head.lastIndexOf(','), head.lastIndexOf(';'));
+  const end = cut > MAX_ALT_TEXT_LENGTH / 2 ? cut : head.lastIndexOf(' ');
+  return `${head.slice(0, end > 0 ? end : MAX_ALT_TEXT_LENGTH - 1).replace(/[\s,;:-]+$/, '')}.`;
+}
+
+/**
+ * Converts text to sentence case
+ * @param {string} text - Text to convert
+ * @returns {string} - Lowercase text with sentences starting in uppercase
+ */
+function toSentenceCase(text) {
+  return text
+    .toLowerCase()
+    .replace(/(^\s*|[.!?]\s+)(\p{L})/gu, (match, prefix, letter) => prefix + letter.toUpperCase());
+}
+
+/**
+ * The lint rules, in the order their warnings are shown
+ */
+const RULES = [
+  {
+    id: 'placeholder',
+    severity: 'error',
+    check: (text) => PLACEHOLDER_PATTERN.test(text.trim())
+      ? 'This looks like placeholder text rather than a description of the image.'
+      : null,
+    fixLabel: REGENERATE_FIX_LABEL,
+    fixAction: 'regenerate'
+  },
+  {
+    id: 'filename',
+    severity: 'warning',
+    check: (text, context) => {
+      const fileNames = findFileNames(text, context);
+      return fileNames.length > 0
+        ? `Contains a file name ("${fileNames[0]}"), which means nothing to someone listening.`
+        : null;
+    },
+    fixLabel: 'Remove file name',
+    fix: (text, context) => {
+      let fixed = text;
+      findFileNames(text, context).forEach(name => {
+        fixed = fixed.split(name).join('');
+      });
+      return tidyText(fixed);
+    }
+  },
+  {
+    id: 'redundant-prefix',
+    severity: 'warning',
+    check: (text) => {
+      const match = text.match(REDUNDANT_PREFIX_PATTERN);
+      return match
+        ? `Starts with "${match[0].trim()}". Screen readers already announce images, so describe the content directly.`
+        : null;
+    },
+    fixLabel: 'Remove prefix',
+    fix: (text) => capitalizeFirst(text.replace(REDUNDANT_PREFIX_PATTERN, ''))
+  },
+  {
+    id: 'too-long',
+    severity: 'warning',
+    check: (text) => text.length > MAX_ALT_TEXT_LENGTH
+      ? `${text.length} characters. Keep alt text under ${MAX_ALT_TEXT_LENGTH} so it's quick to listen to.`
+      : null,
+    fixLabel: `Shorten to ${MAX_ALT_TEXT_LENGTH}`,
+    fix: shortenText
+  },
+  {
+    id: 'all-caps',
+    severity: 'warning',
+    check: (text) => {
+      const letters = text.match(/\p{L}/gu) || [];
+      const upper = letters.filter(letter => letter === letter.toUpperCase() && letter !== letter.toLowerCase());
+      return letters.length >= 8 && upper.length / letters.length > 0.7
+        ? 'Written in ALL CAPS. Some screen readers spell out capitalized words letter by letter.'
+        : null;
+    },
+    fixLabel: 'Use sentence case',
+    fix: toSentenceCase
+  },
+  {
+    id: 'emoji',
+    severity: 'warning',
+    check: (text) => {
+      const emoji = text.match(EMOJI_PATTERN);
+      return emoji
+        ? `Contains emoji (${emoji.join(' ')}). Screen readers read out their official names, which can be confusing.`
+        : null;
+    },
+    fixLabel: 'Replace emoji with words',
+    fix: (text) => tidyText(text.replace(EMOJI_PATTERN, emoji => {
+      const name = EMOJI_NAMES[emoji] || EMOJI_NAMES[emoji.replace(/\uFE0F/g, '')];
+      return name ? ` ${name} ` : ' ';
+    }))
+  },
+  {
+    id: 'end-punctuation',
+    severity: 'info',
+    check: (text) => /[.!?]["')\]]?$/.test(text.trim())
+      ? null
+      : 'Doesn\'t end with punctuation, so screen readers run straight into whatever comes next.',
+    fixLabel: 'Add period',
+    fix: (text) => `${text.trim().replace(/[\s,;:-]+$/, '')}.`
+  }
+];
+
+/**
+ * Checks alt text against every lint rule
+ * @param {string} text - Alt text to check
+ * @param {Object} [context] - Extra information for the rules
+ * @param {string} [context.fileName] - Name of the uploaded file, to catch file name echoes
+ * @returns {Object[]} - Issues, each with ruleId, severity, message, fixLabel and fixAction ('apply' or 'regenerate')
+ */
+export function lintAltText(text, context = {}) {
+  if (typeof text !== 'string') {
+    throw new Error('Alt text must be a string');
+  }
+
+  // Empty alt text is handled by the accept flow itself
+  if (!text.trim()) {
+    return [];
+  }
+
+  return RULES
+    .map(rule => {
+      const message = rule.check(text, context);
+      if (!message) {
+        return null;
+      }
+
+      // A fix that would leave nothing behind (e.g. alt text that is only a file name) needs new alt text instead
+      const fixRemovesEverything = typeof rule.fix === 'function' && !rule.fix(text, context).trim();
+      return {
+        ruleId: rule.id,
+        severity: rule.severity,
+        message,
+        fixLabel: fixRemovesEverything ? REGENERATE_FIX_LABEL : rule.fixLabel,
+        fixAction: fixRemovesEverything ? 'regenerate' : (rule.fixAction || 'apply')
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Applies a rule's fix to alt text
+ * @param {string} text - Alt text to fix
+ * @param {string} ruleId - Id of the rule whose fix to apply
+ * @param {Object} [context] - The context passed to lintAltText()
+ * @returns {string} - Fixed alt text
+ */
+export function applyLintFix(text, ruleId, context = {}) {
+  const rule = RULES.find(candidate => candidate.id === ruleId);
+  if (!rule) {
+    throw new Error(`Unknown alt text lint rule: ${ruleId}`);
+  }
+  if (typeof rule.fix !== 'function') {
+    throw new Error(`Lint rule "${ruleId}" can't be fixed automatically`);
+  }
+
+  return rule.fix(text, context);
+}
+
+/**
+ * Sets what happens on accept for each severity
+ * @param {Object} policy - Action per severity: 'block', 'warn' or 'allow'
+ */
+export function setLintPolicy(policy) {
+  const next = { ...lintPolicy, ...policy };
+  for (const severity of SEVERITY_ORDER) {
+    if (!POLICY_ACTIONS.includes(next[severity])) {
+      throw new Error(`Lint policy for ${severity} must be one of: ${POLICY_ACTIONS.join(', ')}`);
+    }
+  }
+  lintPolicy = next;
+}
+
+/**
+ * Gets what happens on accept for each severity
+ * @returns {Object} - Copy of the policy
+ */
+export function getLintPolicy() {
+  return { ...lintPolicy };
+}
+
+/**
+ * Decides whether alt text with the given issues may be posted
+ * @param {Object[]} issues - Issues from lintAltText()
+ * @returns {Object} - Object with action ('block', 'warn' or 'allow') and the issues that caused it
+ */
+export function evaluateLintPolicy(issues) {
+  let action = 'allow';
+  for (const issue of issues) {
+    const issueAction = lintPolicy[issue.severity] || 'allow';
+    if (POLICY_ACTIONS.indexOf(issueAction) > POLICY_ACTIONS.indexOf(action)) {
+      action = issueAction;
+    }
+  }
+
+  return {
+    action,
+    issues: issues.filter(issue => lintPolicy[issue.severity] === action)
+  };
+}
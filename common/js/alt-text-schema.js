@@ -0,0 +1,123 @@
+/**
+ * Alt Text Result Schema
+ * One shared schema for image descriptions from every AI provider:
+ * a short alt text, an optional long description (for charts, infographics, ...) and a visible caption
+ * Providers pass it to the model as a response constraint, then validate what comes back
+ */
+
+/**
+ * JSON Schema for an image description result
+ * Used as Gemini's responseSchema, the Prompt API's responseConstraint and OpenAI's json_schema
+ */
+export const ALT_TEXT_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    alt: {
+      type: 'string',
+      description: 'Concise alt text, under 125 characters if possible'
+    },
+    longDescription: {
+      type: 'string',
+      description: 'Full description for complex images such as charts, diagrams and infographics, otherwise an empty string'
+    },
+    caption: {
+      type: 'string',
+      description: 'Short visible caption to show under the image'
+    }
+  },
+  required: ['alt', 'longDescription', 'caption'],
+  additionalProperties: false
+};
+
+/**
+ * Error thrown when an AI response doesn't match the alt text schema
+ */
+export class AltTextValidationError extends Error {
+  /**
+   * @param {string[]} issues - Descriptions of each schema violation
+   * @param {*} received - The value that failed validation
+   */
+  constructor(issues, received) {
+    super(`AI returned an invalid image description: ${issues.join('; ')}`);
+    this.name = 'AltTextValidationError';
+    this.issues = issues;
+    this.received = received;
+  }
+}
+
+/**
+ * Removes wrapping quotes and whitespace from generated text
+ * @param {string} text - Raw text from the model
+ * @returns {string} - Cleaned text
+ */
+function cleanText(text) {
+  return text.trim().replace(/^["']|["']$/g, '').trim();
+}
+
+/**
+ * Validates an image description result against the shared schema
+ * @param {*} result - Parsed result from a provider
+ * @returns {Object} - Normalized result with alt, longDescription and caption
+ * @throws {AltTextValidationError} - If the result doesn't match the schema
+ */
+export function validateAltTextResult(result) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    throw new AltTextValidationError(['result must be an object'], result);
+  }
+
+  const issues = [];
+  for (const field of ALT_TEXT_RESPONSE_SCHEMA.required) {
+    if (typeof result[field] !== 'string') {
+      issues.push(`${field} must be a string`);
+    }
+  }
+  if (typeof result.alt === 'string' && !result.alt.trim()) {
+    issues.push('alt must not be empty');
+  }
+
+  if (issues.length > 0) {
+    throw new AltTextValidationError(issues, result);
+  }
+
+  return {
+    alt: cleanText(result.alt),
+    longDescription: result.longDescription.trim(),
+    caption: cleanText(result.caption)
+  };
+}
+
+/**
+ * Parses and validates a schema-constrained image description response
+ * @param {string} responseText - Raw JSON text returned by the model
+ * @returns {Object} - Validated result with alt, longDescription and caption
+ * @throws {AltTextValidationError} - If the text isn't valid JSON or doesn't match the schema
+ */
+export function parseAltTextResponse(responseText) {
+  let parsed;
+  try {
+    parsed = JSON.parse(responseText);
+  } catch (parseError) {
+    throw new AltTextValidationError([`response is not valid JSON (${parseError.message})`], responseText);
+  }
+  return validateAltTextResult(parsed);
+}
+
+/**
+ * Reads the alt text out of a JSON response that is still streaming in
+ * @param {string} partialJson - The response text received so far
+ * @returns {string} - The alt text received so far, or an empty string if it hasn't started
+ */
+export function extractPartialAltText(partialJson) {
+  const match = partialJson.match(/"alt"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (!match) {
+    return '';
+  }
+
+  // Drop a trailing, half-received escape sequence before decoding
+  const value = match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+  try {
+    return JSON.parse(`"${value}"`);
+  } catch {
+    return value;
+  }
+}
@@ -0,0 +1,834 @@
+/**
+ * Comment Moderation Module
+ * Uses AI to evaluate comments for toxicity and suggest improvements
+ * Analysis runs on whichever provider the AI provider registry picks
+ * The model scores each moderation policy category; the policy decides whether to allow, warn or block
+ * Comments are moderated in their own language, and reasons and suggestions come back in that language
+ * Every decision, and what the user did about it, is recorded in the moderation log
+ * Comments the policy can't decide with confidence are held for review
+ * Authors can ask to post a blocked comment anyway by explaining why; the explanation is moderated with the comment,
+ * and if it still fails, the comment is held for review instead of being rejected outright
+ * Handles both AI calls and UI interactions for comment moderation
+ */
+
+import { updateSubmitButton, handleError, getElement, showSuccessNotification, showStatusNotification, hideElement, showElement, registerEventHandler, createRetryButton } from './ui-helpers.js';
+import { classifyText, rewriteText } from './ai-providers.js';
+import { detectLanguage } from './language-detection.js';
+import { evaluateModerationPolicy } from './moderation-policy.js';
+import { applyInjectionDetector } from './injection-detector.js';
+import { runPrefilter, PREFILTER_PROVIDER } from './comment-prefilter.js';
+import { normalizeCommentText } from './text-normalization.js';
+import { getModerationCacheKey, getCachedResult, setCachedResult } from './ai-cache.js';
+import { recordModerationEvent, recordUserAction } from './moderation-log.js';
+import { renderReviewQueue } from './review-queue.js';
+import { getActivePost, addCommentToPost } from './posts.js';
+import { renderComment } from './feed.js';
+
+// Constants
+const VERDICT_TITLES = {
+  warn: '⚠️ Consider Revising',
+  block: '🚫 Please Revise'
+};
+const MAX_JUSTIFICATION_LENGTH = 300;
+
+// Store the original problematic comment and why it was flagged for regeneration
+let originalProblematicComment = null;
+let lastModerationReason = null;
+let lastModerationCategories = [];
+let lastModerationScores = null;
+let lastModerationAction = null;
+
+// Comment text that was only warned about, so it may still be posted as written
+let warnedComment = null;
+
+// Language the comment under moderation is written in, or null if it couldn't be detected
+let lastModerationLanguage = null;
+
+// Post the comment being moderated belongs to
+let moderatedPostId = null;
+
+// Moderation log event for the latest verdict, and the suggestion it came with
+let currentEventId = null;
+let currentSuggestion = null;
+
+/**
+ * Analyzes a comment in its own language and decides what to do with it using the moderation policy
+ * Disguised words are spelled out first (see text-normalization.js); the pre-filter and injection detector check
+ * that normalized text, and the model gets it alongside the comment as written.
+ * Comments that match a pre-filter rule get that rule's verdict without asking the AI, and a comment moderated
+ * before on the same image under the same policy gets its cached verdict
+ * @param {string} comment - The comment text to analyze
+ * @param {string} imageDescription - Optional description of the image being commented on
+ * @param {Object} [logDetails] - Recorded with the decision in the moderation log
+ * @param {string} [logDetails.postId] - Post the comment is for
+ * @param {string} [logDetails.stage] - 'submitted' for a new comment, 'revision' for an edited suggestion,
+ *   'justified' for a flagged comment its author explained
+ * @param {string} [logDetails.justification] - The author's explanation, sent to the model as extra context
+ * @returns {Object} Analysis result with:
+ *   - action: 'allow', 'warn' or 'block'
+ *   - uncertain: True if the scores are too close to the thresholds to trust the action
+ *   - categories: Ids of the policy categories that caused the action
+ *   - scores: Score from 0 to 1 for every policy category
+ *   - reason, suggestion: Why it was flagged and a rewrite, in the comment's language (empty when allowed)
+ *   - language: BCP 47 tag, or null if it couldn't be detected
+ *   - provider, model: What judged the comment ('prefilter' and null when a rule decided)
+ *   - rule: The pre-filter rule that decided, with its id and type, or null if the AI did
+ *   - cached: True if the verdict was reused from the cache
+ *   - eventId: Id of the moderation log event, for recording what the user does next
+ */
+export async function analyzeComment(comment, imageDescription = null, { postId = null, stage = 'submitted', justification = null } = {}) {
+  const startTime = performance.now();
+  const normalizedText = normalizeCommentText(comment);
+  
+  try {
+    const ruleVerdict = runPrefilter(normalizedText);
+    if (ruleVerdict) {
+      // Clear cases have a standard verdict, so there's nothing for a model to score or rewrite
+      const result = {
+        ...ruleVerdict,
+        uncertain: false,
+        scores: {},
+        suggestion: '',
+        language: null,
+        provider: PREFILTER_PROVIDER,
+        model: null
+      };
+      const eventId = recordModerationEvent({ text: comment, normalizedText, postId, stage, justification, analysis: result, latencyMs: performance.now() - startTime });
+      return { ...result, cached: false, eventId };
+    }
+    
+    const cacheKey = await getModerationCacheKey(normalizedText, imageDescription, justification);
+    const cachedResult = await getCachedResult(cacheKey);
+    if (cachedResult) {
+      const eventId = recordModerationEvent({ text: comment, normalizedText, postId, stage, justification, analysis: cachedResult, cached: true, latencyMs: performance.now() - startTime });
+      return { ...cachedResult, cached: true, eventId };
+    }
+    
+    const detected = await detectLanguage(comment);
+    const language = detected ? detected.language : null;
+    
+    const analysis = await classifyText(comment, imageDescription, null, {
+      language,
+      justification,
+      normalizedComment: normalizedText !== comment ? normalizedText : null
+    });
+    // A model that fell for an injection may not score it, so the detector's score counts too
+    const { scores } = applyInjectionDetector(analysis.scores, [comment, normalizedText, justification]);
+    const { action, triggered, uncertain } = evaluateModerationPolicy(scores);
+    const categories = triggered.map(({ category }) => category);
+    
+    let { reason, suggestion } = analysis;
+    if (action !== 'allow') {
+      // The thresholds are this app's decision, so the model may not have explained or rewritten the comment
+      if (!reason) {
+        reason = `This comment was flagged for: ${categories.join(', ')}`;
+      }
+      if (!suggestion) {
+        suggestion = await rewriteText(comment, undefined, null, { language });
+      }
+    }
+    
+    const result = {
+      action,
+      uncertain,
+      categories,
+      scores,
+      reason,
+      suggestion,
+      language,
+      provider: analysis.provider,
+      model: analysis.model,
+      rule: null
+    };
+    setCachedResult(cacheKey, result);
+    const eventId = recordModerationEvent({ text: comment, normalizedText, postId, stage, justification, analysis: result, latencyMs: performance.now() - startTime });
+    return { ...result, cached: false, eventId };
+  } catch (error) {
+    recordModerationEvent({ text: comment, normalizedText, postId, stage, justification, error, latencyMs: performance.now() - startTime });
+    throw error;
+  }
+}
+
+// ============================================================================
+// UI HANDLING FUNCTIONS
+// ============================================================================
+
+/**
+ * Handles comment form submission
+ * Validates the comment with AI before posting
+ * @param {Event} e - Form submission event
+ */
+export async function handleCommentSubmit(e) {
+  if (!e || typeof e.preventDefault !== 'function') {
+    throw new Error('Valid event object with preventDefault is required');
+  }
+  
+  e.preventDefault();
+  
+  const commentEl = getElement('comment');
+  const comment = commentEl.value.trim();
+  if (!comment) return;
+  
+  // Comments belong to the post the form is attached to
+  const post = getActivePost();
+  if (!post) {
+    showStatus({ type: 'error', message: 'Please choose a post to comment on.' });
+    return;
+  }
+  moderatedPostId = post.id;
+  
+  // Hide textarea and replace button with processing message
+  hideCommentForm();
+  showProcessingMessage();
+  
+  try {
+    // Use the description of the image being commented on as context
+    const analysis = await analyzeComment(comment, post.altText, { postId: post.id });
+    
+    if (analysis.uncertain) {
+      // Too close to call either way, so a person decides
+      holdComment(post.id, comment, analysis, 'uncertain');
+    } else if (analysis.action !== 'allow') {
+      // Show the verdict and setup suggestion editing in the comment form
+      showVerdict(analysis, comment, VERDICT_TITLES[analysis.action]);
+      showSuggestionForm(analysis.suggestion);
+    } else {
+      // Accept good comments and post them
+      addComment(post.id, comment, {
+        outcome: 'allowed',
+        categories: [],
+        scores: analysis.scores,
+        language: analysis.language
+      });
+      recordUserAction(analysis.eventId, 'posted');
+      
+      // Show success notification and reset form
+      showStatusNotification('success', '💬 Comment posted successfully!');
+      clearStatus();
+      resetCommentForm();
+    }
+  } catch (error) {
+    const errorMsg = handleError(error, 'Comment analysis');
+    showStatus({ type: 'error', message: errorMsg });
+    // Show form again on error
+    showCommentForm();
+    
+    // Check the same comment again without retyping it
+    const retryButton = createRetryButton(error, () => handleCommentSubmit({ preventDefault() {} }));
+    if (retryButton) {
+      getElement('status').appendChild(retryButton);
+    }
+  }
+}
+
+/**
+ * Shows status messages to the user with a simple, safe approach
+ * @param {Object} config - Status configuration object
+ * @param {string} config.type - Status type: 'checking', 'blocked', 'allowed', 'pending', 'error'
+ * @param {string} config.message - Main message to display
+ * @param {string} [config.title] - Optional title for blocked/pending/error states
+ * @param {string} [config.lang] - Language of the message, when it was written by the AI in the commenter's language
+ */
+function showStatus(config) {
+  const { type, message, title = null, lang = null } = config;
+  const statusEl = getElement('status');
+  statusEl.className = `status show ${type}`;
+  
+  // Clear previous content
+  statusEl.innerHTML = '';
+  
+  // Create content safely using DOM methods
+  if (title) {
+    const titleEl = document.createElement('h3');
+    titleEl.textContent = title;
+    statusEl.appendChild(titleEl);
+  }
+  
+  const messageEl = document.createElement('p');
+  messageEl.textContent = message;
+  if (lang) {
+    messageEl.lang = lang;
+  }
+  statusEl.appendChild(messageEl);
+}
+
+/**
+ * Remembers a warn or block verdict and shows it in the status area
+ * @param {Object} analysis - Result from analyzeComment()
+ * @param {string} moderatedText - The comment text the verdict is about
+ * @param {string} title - Status title
+ */
+function showVerdict(analysis, moderatedText, title) {
+  lastModerationReason = analysis.reason;
+  lastModerationCategories = analysis.categories;
+  lastModerationScores = analysis.scores;
+  lastModerationLanguage = analysis.language;
+  lastModerationAction = analysis.action;
+  warnedComment = analysis.action === 'warn' ? moderatedText : null;
+  currentEventId = analysis.eventId;
+  currentSuggestion = analysis.suggestion;
+  
+  showStatus({
+    type: 'blocked',
+    title,
+    message: analysis.reason,
+    lang: analysis.language
+  });
+}
+
+/**
+ * Regenerates a new suggestion for the blocked comment
+ */
+export function regenerateSuggestion() {
+  // Regenerating comment suggestion for blocked comment
+  
+  // Get the original problematic comment from storage
+  const originalComment = originalProblematicComment;
+  if (!originalComment) {
+    const error = new Error('Cannot regenerate - original comment not found');
+    handleError(error, 'Suggestion regeneration');
+    showStatus({ type: 'error', message: 'Unable to regenerate suggestion. Please try canceling and resubmitting.' });
+    return;
+  }
+  
+  recordUserAction(currentEventId, 'regenerated');
+  
+  // Hide comment form during regeneration
+  hideCommentForm();
+  
+  // Show regenerating status
+  showStatus({ type: 'checking', message: '🔄 Generating a new suggestion...' });
+  
+  // Ask the AI for a fresh rewrite of the original problematic comment, in the commenter's language
+  rewriteText(originalComment, undefined, null, { language: lastModerationLanguage })
+    .then(suggestion => {
+      currentSuggestion = suggestion;
+      showStatus({ type: 'blocked', title: VERDICT_TITLES[lastModerationAction], message: lastModerationReason, lang: lastModerationLanguage });
+      // Show the suggestion form with the new suggestion
+      showSuggestionForm(suggestion, originalComment);
+    })
+    .catch(error => {
+      const errorMsg = handleError(error, 'Suggestion regeneration');
+      showStatus({ type: 'error', message: errorMsg });
+      // Show form again on error
+      showCommentForm();
+    });
+}
+
+/**
+ * Submits the suggested comment text after re-validating it
+ */
+export async function submitSuggestion() {
+  const commentEl = getElement('comment');
+  const suggestedText = commentEl.value.trim();
+  
+  if (!suggestedText) return;
+  
+  recordUserAction(currentEventId, suggestedText === currentSuggestion ? 'accepted-rewrite' : 'edited-rewrite');
+  
+  // SECURITY: Re-evaluate the comment before posting to prevent toxic content bypass
+  hideCommentForm();
+  showStatus({ type: 'checking', message: '🔍 Validating your edited comment...' });
+  
+  try {
+    // Re-analyze the edited suggestion against the same post's image
+    const post = getModeratedPost();
+    const analysis = await analyzeComment(suggestedText, post.altText, { postId: post.id, stage: 'revision' });
+    
+    if (analysis.uncertain) {
+      holdComment(post.id, suggestedText, analysis, 'uncertain');
+    } else if (analysis.action !== 'allow') {
+      // The edited suggestion is still problematic
+      showVerdict(analysis, suggestedText, analysis.action === 'block' ? '🚫 Still Needs Revision' : '⚠️ Still Worth Revising');
+      // Show the new suggestion but keep the original comment reference
+      showSuggestionForm(analysis.suggestion, originalProblematicComment);
+    } else {
+      // The edited suggestion is acceptable
+      addComment(post.id, suggestedText, {
+        outcome: 'revised',
+        categories: lastModerationCategories,
+        scores: lastModerationScores,
+        reason: lastModerationReason,
+        language: analysis.language
+      });
+      recordUserAction(analysis.eventId, 'posted');
+      showSuccessNotification('💬 Comment posted successfully!');
+      clearStatus();
+      resetCommentForm();
+    }
+  } catch (error) {
+    const errorMsg = handleError(error, 'Comment re-validation');
+    showStatus({ type: 'error', message: errorMsg });
+    // Show the form again with the edited text
+    showSuggestionForm(suggestedText, originalProblematicComment);
+  }
+}
+
+/**
+ * Clears the status display
+ */
+function clearStatus() {
+  const statusEl = getElement('status');
+  statusEl.className = 'status';
+  statusEl.innerHTML = '';
+}
+
+/**
+ * Hides the comment form during processing/suggestion editing
+ */
+function hideCommentForm() {
+  hideElement('comment');
+  hideElement('btnSubmit');
+}
+
+/**
+ * Shows the comment form
+ */
+function showCommentForm() {
+  const submitBtn = getElement('btnSubmit');
+  
+  showElement('comment');
+  if (submitBtn) {
+    showElement(submitBtn);
+    submitBtn.disabled = false;
+    submitBtn.innerHTML = 'Submit Comment';
+  }
+  
+  // Hide suggestion-specific elements
+  hideElement('suggestionActions');
+  hideElement('suggestionHeader');
+  hideElement('originalReference');
+  hideElement('justificationForm');
+  
+  updateSubmitButton();
+}
+
+/**
+ * Creates or shows the suggestion header element
+ * @param {boolean} hasSuggestion - True if the textarea holds a suggested rewrite, false if it holds the author's text
+ */
+function createSuggestionHeader(hasSuggestion) {
+  let suggestionHeader = document.getElementById('suggestionHeader');
+  if (!suggestionHeader) {
+    suggestionHeader = document.createElement('h3');
+    suggestionHeader.id = 'suggestionHeader';
+    suggestionHeader.className = 'suggestion-header';
+    
+    // Insert before the form group
+    const formGroup = document.querySelector('#commentForm .form-group');
+    if (formGroup) {
+      formGroup.parentNode.insertBefore(suggestionHeader, formGroup);
+    }
+  }
+  suggestionHeader.textContent = hasSuggestion ? '💡 Try this instead' : '✏️ Edit your comment';
+  showElement(suggestionHeader);
+  return suggestionHeader;
+}
+
+/**
+ * Creates or updates the original comment reference
+ */
+function createOriginalReference(originalComment) {
+  let originalReference = document.getElementById('originalReference');
+  if (!originalReference) {
+    originalReference = document.createElement('p');
+    originalReference.id = 'originalReference';
+    originalReference.className = 'original-comment-reference';
+    
+    // Insert after the form group
+    const formGroup = document.querySelector('#commentForm .form-group');
+    if (formGroup) {
+      formGroup.parentNode.insertBefore(originalReference, formGroup.nextSibling);
+    }
+  }
+  originalReference.textContent = `Original post: "${originalComment}"`;
+  showElement(originalReference);
+  return originalReference;
+}
+
+/**
+ * Creates suggestion action buttons (regenerate, submit, cancel)
+ */
+function createSuggestionActions() {
+  let suggestionActions = document.getElementById('suggestionActions');
+  if (!suggestionActions) {
+    suggestionActions = document.createElement('div');
+    suggestionActions.id = 'suggestionActions';
+    suggestionActions.className = 'button-group';
+    
+    // Create buttons with proper event listeners
+    const regenerateBtn = document.createElement('button');
+    regenerateBtn.type = 'button';
+    regenerateBtn.className = 'btn_suggestion';
+    regenerateBtn.textContent = '🔄 Regenerate';
+    regenerateBtn.addEventListener('click', regenerateSuggestion);
+    
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'button';
+    submitBtn.className = 'btn_suggestion btn_submit';
+    submitBtn.textContent = '✅ Submit';
+    submitBtn.addEventListener('click', submitSuggestion);
+    
+    // Only offered when the policy warns rather than blocks
+    const postAsWrittenBtn = document.createElement('button');
+    postAsWrittenBtn.type = 'button';
+    postAsWrittenBtn.id = 'btnPostAsWritten';
+    postAsWrittenBtn.className = 'btn_suggestion';
+    postAsWrittenBtn.textContent = '📨 Post as written';
+    postAsWrittenBtn.addEventListener('click', postCommentAsWritten);
+    
+    // Offered instead when the policy blocks, for authors who think the verdict is wrong
+    const postOriginalBtn = document.createElement('button');
+    postOriginalBtn.type = 'button';
+    postOriginalBtn.id = 'btnPostOriginalAnyway';
+    postOriginalBtn.className = 'btn_suggestion';
+    postOriginalBtn.textContent = '📨 Post original anyway';
+    postOriginalBtn.addEventListener('click', showJustificationForm);
+    
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'btn_suggestion';
+    cancelBtn.textContent = '❌ Cancel';
+    cancelBtn.addEventListener('click', cancelSuggestion);
+    
+    suggestionActions.appendChild(regenerateBtn);
+    suggestionActions.appendChild(submitBtn);
+    suggestionActions.appendChild(postAsWrittenBtn);
+    suggestionActions.appendChild(postOriginalBtn);
+    suggestionActions.appendChild(cancelBtn);
+    
+    // Insert after the original reference
+    const originalReference = document.getElementById('originalReference');
+    if (originalReference) {
+      originalReference.parentNode.insertBefore(suggestionActions, originalReference.nextSibling);
+    }
+  }
+  
+  if (warnedComment) {
+    showElement('btnPostAsWritten');
+    hideElement('btnPostOriginalAnyway');
+  } else {
+    hideElement('btnPostAsWritten');
+    showElement('btnPostOriginalAnyway');
+  }
+  
+  showElement(suggestionActions, 'flex');
+  return suggestionActions;
+}
+
+/**
+ * Shows the suggestion editing form using the main comment textarea
+ * Without a suggestion, such as when a pre-filter rule decided, the textarea keeps the author's text to edit
+ * @param {string} suggestion - Suggested rewrite, or an empty string if there is none
+ * @param {string|null} [originalComment] - The flagged comment, or null to take it from the textarea
+ */
+function showSuggestionForm(suggestion, originalComment = null) {
+  const commentEl = getElement('comment');
+  
+  // If no original comment provided, get it from the current textarea value
+  if (!originalComment) {
+    originalComment = commentEl ? commentEl.value : '';
+  }
+  
+  // Store original comment for regeneration
+  originalProblematicComment = originalComment;
+  
+  // Set up UI elements
+  createSuggestionHeader(!!suggestion);
+  
+  // Show the comment textarea with the suggestion, in the commenter's language
+  if (commentEl) {
+    if (suggestion) {
+      commentEl.value = suggestion;
+    }
+    commentEl.lang = lastModerationLanguage || '';
+    showElement(commentEl);
+  }
+  
+  createOriginalReference(originalComment);
+  
+  // Replace the submit button with suggestion actions
+  hideElement('btnSubmit');
+  hideElement('justificationForm');
+  createSuggestionActions();
+}
+
+/**
+ * Creates the form asking why the original comment should be posted anyway
+ * @returns {Element} - The justification form
+ */
+function createJustificationForm() {
+  let justificationForm = document.getElementById('justificationForm');
+  if (!justificationForm) {
+    justificationForm = document.createElement('div');
+    justificationForm.id = 'justificationForm';
+    justificationForm.className = 'form-group justification-form';
+    
+    const label = document.createElement('label');
+    label.htmlFor = 'justification';
+    label.textContent = 'Why should your original comment be posted? For example, you are quoting criticism to discuss it, or using a word your own community has reclaimed.';
+    
+    const input = document.createElement('textarea');
+    input.id = 'justification';
+    input.maxLength = MAX_JUSTIFICATION_LENGTH;
+    input.rows = 3;
+    
+    const actions = document.createElement('div');
+    actions.className = 'button-group';
+    
+    const sendBtn = document.createElement('button');
+    sendBtn.type = 'button';
+    sendBtn.className = 'btn_suggestion btn_submit';
+    sendBtn.textContent = '📨 Post with this explanation';
+    sendBtn.addEventListener('click', submitJustification);
+    
+    const backBtn = document.createElement('button');
+    backBtn.type = 'button';
+    backBtn.className = 'btn_suggestion';
+    backBtn.textContent = '↩️ Back to suggestion';
+    backBtn.addEventListener('click', hideJustificationForm);
+    
+    actions.appendChild(sendBtn);
+    actions.appendChild(backBtn);
+    justificationForm.appendChild(label);
+    justificationForm.appendChild(input);
+    justificationForm.appendChild(actions);
+    
+    // Insert after the suggestion actions
+    const suggestionActions = document.getElementById('suggestionActions');
+    if (suggestionActions) {
+      suggestionActions.parentNode.insertBefore(justificationForm, suggestionActions.nextSibling);
+    }
+  }
+  return justificationForm;
+}
+
+/**
+ * Swaps the suggestion for a form asking why the original comment should be posted anyway
+ * @param {string} [justification] - Text to start with, e.g. after a failed attempt
+ */
+export function showJustificationForm(justification = '') {
+  if (!originalProblematicComment) {
+    return;
+  }
+  
+  hideElement('comment');
+  hideElement('suggestionHeader');
+  hideElement('suggestionActions');
+  
+  const justificationForm = createJustificationForm();
+  const input = justificationForm.querySelector('textarea');
+  input.value = typeof justification === 'string' ? justification : '';
+  input.lang = lastModerationLanguage || '';
+  showElement(justificationForm);
+  input.focus();
+}
+
+/**
+ * Goes back from the justification form to the suggested rewrite
+ */
+function hideJustificationForm() {
+  hideElement('justificationForm');
+  showElement('comment');
+  showElement('suggestionHeader');
+  showElement('suggestionActions', 'flex');
+}
+
+/**
+ * Moderates the original comment again with its author's explanation as context
+ * Posts it if it now passes; otherwise holds it for a moderator instead of leaving the AI with the final word
+ */
+export async function submitJustification() {
+  const justification = document.getElementById('justification')?.value.trim();
+  const originalComment = originalProblematicComment;
+  if (!originalComment) {
+    return;
+  }
+  if (!justification) {
+    showStatusNotification('failure', '❌ Please explain why your comment should be posted', 4000);
+    return;
+  }
+  
+  recordUserAction(currentEventId, 'justified');
+  hideElement('justificationForm');
+  showStatus({ type: 'checking', message: '🔍 Checking your comment again with your explanation...' });
+  
+  try {
+    const post = getModeratedPost();
+    const analysis = await analyzeComment(originalComment, post.altText, { postId: post.id, stage: 'justified', justification });
+    
+    if (analysis.action === 'allow' && !analysis.uncertain) {
+      addComment(post.id, originalComment, {
+        outcome: 'justified',
+        categories: lastModerationCategories,
+        scores: analysis.scores,
+        reason: lastModerationReason,
+        justification,
+        language: analysis.language
+      });
+      recordUserAction(analysis.eventId, 'posted');
+      clearModerationState();
+      showSuccessNotification('💬 Comment posted successfully!');
+      clearStatus();
+      resetCommentForm();
+    } else {
+      // Still flagged: a person makes the final call
+      holdComment(post.id, originalComment, { ...analysis, justification }, 'requested');
+    }
+  } catch (error) {
+    const errorMsg = handleError(error, 'Comment re-validation');
+    showStatus({ type: 'error', message: errorMsg });
+    // Let the user try again without retyping the explanation
+    showJustificationForm(justification);
+  }
+}
+
+/**
+ * Shows processing message during AI analysis
+ */
+function showProcessingMessage() {
+  showStatus({ type: 'checking', message: '🔍 Analyzing your comment for tone and constructiveness...' });
+}
+
+/**
+ * Resets the comment form to empty state
+ */
+function resetCommentForm() {
+  const commentEl = getElement('comment');
+  if (commentEl) {
+    commentEl.value = '';
+    commentEl.lang = '';
+    showElement(commentEl);
+  }
+  
+  const submitBtn = getElement('btnSubmit');
+  if (submitBtn) {
+    showElement(submitBtn);
+    submitBtn.disabled = false;
+    submitBtn.innerHTML = 'Submit Comment';
+  }
+  
+  // Hide suggestion-specific elements
+  hideElement('suggestionActions');
+  hideElement('suggestionHeader');
+  hideElement('originalReference');
+  hideElement('justificationForm');
+  
+  updateSubmitButton();
+}
+
+/**
+ * Posts a comment the moderation policy only warned about, exactly as the user wrote it
+ */
+export function postCommentAsWritten() {
+  if (!warnedComment) {
+    return;
+  }
+  
+  try {
+    const post = getModeratedPost();
+    addComment(post.id, warnedComment, {
+      outcome: 'warned',
+      categories: lastModerationCategories,
+      scores: lastModerationScores,
+      reason: lastModerationReason,
+      language: lastModerationLanguage
+    });
+    recordUserAction(currentEventId, 'posted-as-written');
+    currentEventId = null;
+    showSuccessNotification('💬 Comment posted successfully!');
+    cancelSuggestion();
+  } catch (error) {
+    const errorMsg = handleError(error, 'Posting comment');
+    showStatus({ type: 'error', message: errorMsg });
+  }
+}
+
+/**
+ * Holds a comment for a moderator instead of posting it, and tells the author it's pending
+ * @param {string} postId - Id of the post being commented on
+ * @param {string} commentText - The comment text to hold
+ * @param {Object} analysis - Verdict for the comment, as returned by analyzeComment(), plus the author's
+ *   justification if they gave one
+ * @param {string} heldBecause - 'uncertain' if the verdict was too close to call, 'requested' if the author asked
+ *   to post it anyway
+ */
+function holdComment(postId, commentText, analysis, heldBecause) {
+  addComment(postId, commentText, {
+    outcome: 'held',
+    heldBecause,
+    categories: analysis.categories,
+    scores: analysis.scores,
+    reason: analysis.reason,
+    justification: analysis.justification ?? null,
+    language: analysis.language
+  }, { status: 'pending' });
+  recordUserAction(analysis.eventId, 'held-for-review');
+  renderReviewQueue();
+  
+  clearModerationState();
+  resetCommentForm();
+  showStatus({
+    type: 'pending',
+    title: '⏳ Pending review',
+    message: 'A moderator will check your comment. Until it is approved, only you can see it.'
+  });
+}
+
+/**
+ * Cancels suggestion editing and returns to empty comment form
+ */
+export function cancelSuggestion() {
+  // User cancelled suggestion editing
+  recordUserAction(currentEventId, 'cancelled');
+  
+  clearModerationState();
+  
+  // Clear status and show empty form
+  clearStatus();
+  resetCommentForm();
+}
+
+/**
+ * Forgets the comment under moderation and its verdict
+ */
+function clearModerationState() {
+  originalProblematicComment = null;
+  lastModerationReason = null;
+  lastModerationCategories = [];
+  lastModerationScores = null;
+  lastModerationAction = null;
+  lastModerationLanguage = null;
+  warnedComment = null;
+  moderatedPostId = null;
+  currentEventId = null;
+  currentSuggestion = null;
+}
+
+/**
+ * Gets the post the comment under moderation belongs to
+ * @returns {Object} - The post being commented on
+ */
+function getModeratedPost() {
+  const post = getActivePost();
+  if (!post || post.id !== moderatedPostId) {
+    throw new Error('The post this comment belongs to is no longer selected');
+  }
+  return post;
+}
+
+/**
+ * Adds a new comment to a post's thread
+ * @param {string} postId - Id of the post being commented on
+ * @param {string} commentText - The comment text to add
+ * @param {Object} moderation - Moderation outcome that let the comment through
+ * @param {Object} [options] - Options for addCommentToPost(), such as the status of a held comment
+ */
+function addComment(postId, commentText, moderation, options = {}) {
+  const comment = addCommentToPost(postId, commentText, moderation, options);
+  renderComment(postId, comment);
+}
+
+// Register event handlers to avoid circular dependencies
+registerEventHandler('handleCommentSubmit', handleCommentSubmit);
+registerEventHandler('cancelSuggestion', cancelSuggestion);
\ No newline at end of file
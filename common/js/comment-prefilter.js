@@ -0,0 +1,191 @@
+/**
+ * Comment Pre-filter
+ * Fixed rules checked before a comment is sent to the AI, so obvious cases such as insults and link spam
+ * are decided without a model call. Comments no rule matches go on to the AI as usual.
+ *
+ * Rules are loaded from a JSON file (common/config/prefilter-rules.json by default) and checked in order;
+ * the first one that matches decides. Each rule has:
+ * - id: Unique name, recorded in the moderation log when the rule fires
+ * - type: 'allowlist' (the whole comment is one of the terms, ignoring case, punctuation and emoji),
+ *   'blocklist' (one of the terms appears as a whole word or phrase, also once repeated letters in both are
+ *   cut to one, so "idioot" matches "idiot" and "kiill" matches "kill") or 'regex' (pattern, with optional flags)
+ * - action: 'allow', 'warn' or 'block', like a moderation policy category; 'allow' for allowlists
+ *   and 'block' for the others when left out
+ * - category: Optional; the moderation policy category the rule stands for, e.g. 'spam'
+ * - reason: Optional; shown to the commenter when the rule warns or blocks
+ */
+
+// Constants
+const DEFAULT_RULES_URL = new URL('../config/prefilter-rules.json', import.meta.url);
+const RULE_TYPES = ['allowlist', 'blocklist', 'regex'];
+const RULE_ACTIONS = ['allow', 'warn', 'block'];
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const REPEATED_CHARACTER = /(.)\1+/gu;
+export const PREFILTER_PROVIDER = 'prefilter';
+
+// Current rules, each with a compiled matches() function
+let prefilterRules = [];
+
+/**
+ * Reduces text to lowercase words separated by single spaces, without punctuation or emoji
+ * @param {string} text - Text to simplify
+ * @returns {string} - Simplified text
+ */
+function simplifyText(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Escapes text for use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds a pattern that finds any of the terms as a whole word or phrase in simplified text
+ * Whole words only, so "loser" doesn't match "closer"
+ * @param {string[]} terms - Simplified terms
+ * @returns {RegExp} - Pattern to test simplified text with
+ */
+function buildTermPattern(terms) {
+  return new RegExp(`(^| )(${terms.map(escapeRegExp).join('|')})( |$)`, 'u');
+}
+
+/**
+ * Cuts every run of a repeated character to one
+ * @param {string} text - Simplified text or term
+ * @returns {string} - Text without repeats
+ */
+function collapseRepeats(text) {
+  return text.replace(REPEATED_CHARACTER, '$1');
+}
+
+/**
+ * Checks that a rule is well formed and builds the function that tests a comment against it
+ * @param {Object} rule - Rule from the rules file
+ * @returns {Object} - The rule with its defaults filled in and a matches(text) function
+ * @throws {Error} - If the rule is invalid
+ */
+function compileRule(rule) {
+  if (!rule || typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) {
+    throw new Error(`Pre-filter rule id must be letters, digits, dashes or underscores: ${rule?.id}`);
+  }
+  const { id, type, category = null, reason = '' } = rule;
+  if (!RULE_TYPES.includes(type)) {
+    throw new Error(`Type of pre-filter rule "${id}" must be one of: ${RULE_TYPES.join(', ')}`);
+  }
+
+  const action = rule.action ?? (type === 'allowlist' ? 'allow' : 'block');
+  if (!RULE_ACTIONS.includes(action)) {
+    throw new Error(`Action of pre-filter rule "${id}" must be one of: ${RULE_ACTIONS.join(', ')}`);
+  }
+
+  let matches;
+  if (type === 'regex') {
+    let pattern;
+    try {
+      pattern = new RegExp(rule.pattern, rule.flags ?? '');
+    } catch (error) {
+      throw new Error(`Pattern of pre-filter rule "${id}" is not a valid regular expression: ${error.message}`);
+    }
+    // A global pattern remembers where it last matched, so always test from the start
+    matches = (text) => {
+      pattern.lastIndex = 0;
+      return pattern.test(text);
+    };
+  } else {
+    if (!Array.isArray(rule.terms) || rule.terms.length === 0 || !rule.terms.every(term => typeof term === 'string' && simplifyText(term))) {
+      throw new Error(`Pre-filter rule "${id}" needs a list of terms`);
+    }
+    const terms = rule.terms.map(simplifyText);
+
+    if (type === 'allowlist') {
+      const allowed = new Set(terms);
+      matches = (text) => allowed.has(simplifyText(text));
+    } else {
+      const pattern = buildTermPattern(terms);
+      // Normalized text keeps up to two repeats ("kiiiill" becomes "kiill"), so compare both sides without any
+      const collapsedPattern = buildTermPattern(terms.map(collapseRepeats));
+      matches = (text) => {
+        const simplified = simplifyText(text);
+        return pattern.test(simplified) || collapsedPattern.test(collapseRepeats(simplified));
+      };
+    }
+  }
+
+  return { id, type, action, category, reason, matches };
+}
+
+/**
+ * Replaces the pre-filter rules
+ * @param {Object} config - Rules config with a rules array (see the module comment)
+ * @throws {Error} - If any rule is invalid; the current rules are kept
+ */
+export function setPrefilterRules(config) {
+  if (!config || !Array.isArray(config.rules)) {
+    throw new Error('Pre-filter config must have a rules array');
+  }
+
+  const compiled = config.rules.map(compileRule);
+  const ids = new Set();
+  compiled.forEach(({ id }) => {
+    if (ids.has(id)) {
+      throw new Error(`Duplicate pre-filter rule: ${id}`);
+    }
+    ids.add(id);
+  });
+
+  prefilterRules = compiled;
+}
+
+/**
+ * Loads the pre-filter rules from a JSON file
+ * @param {string|URL} [url] - Rules file, common/config/prefilter-rules.json by default
+ * @returns {Promise<number>} - Number of rules loaded
+ * @throws {Error} - If the file can't be fetched or its rules are invalid; the current rules are kept
+ */
+export async function loadPrefilterRules(url = DEFAULT_RULES_URL) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load pre-filter rules from ${url}: ${response.status} ${response.statusText}`);
+  }
+
+  setPrefilterRules(await response.json());
+  console.log(`✅ Loaded ${prefilterRules.length} comment pre-filter rules`);
+  return prefilterRules.length;
+}
+
+/**
+ * Gets the ids of the current rules
+ * @returns {string[]} - Rule ids, in the order they are checked
+ */
+export function getPrefilterRuleIds() {
+  return prefilterRules.map(rule => rule.id);
+}
+
+/**
+ * Checks a comment against the rules
+ * @param {string} text - Comment text
+ * @returns {Object|null} - The first matching rule's verdict, with action, categories, reason and rule:
+ *   the rule's id and type; null if no rule matches and the AI should decide
+ */
+export function runPrefilter(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Text must be a string');
+  }
+
+  const rule = prefilterRules.find(candidate => candidate.matches(text));
+  if (!rule) {
+    return null;
+  }
+
+  return {
+    action: rule.action,
+    categories: rule.category && rule.action !== 'allow' ? [rule.category] : [],
+    reason: rule.action === 'allow' ? '' : rule.reason || `This comment was flagged by the community rule "${rule.id}"`,
+    rule: { id: rule.id, type: rule.type }
+  };
+}
@@ -0,0 +1,332 @@
+/**
+ * Feed Display Module
+ * Renders posted images with their comment threads
+ * and moves the shared comment form to the post being commented on
+ */
+
+import { getElement, showElement, hideElement, escapeHtml, getEventHandler } from './ui-helpers.js';
+import { getPost, getActivePost, setActivePost, restorePosts } from './posts.js';
+import { getLanguageName } from './alt-text-languages.js';
+
+/**
+ * Formats an ISO timestamp for display
+ * @param {string} timestamp - ISO timestamp
+ * @param {boolean} includeYear - Whether to include the year
+ * @returns {string} - Formatted date and time
+ */
+function formatTimestamp(timestamp, includeYear = false) {
+  return new Date(timestamp).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    ...(includeYear && { year: 'numeric' }),
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Gets the feed element for a post
+ * @param {string} postId - Post id
+ * @returns {Element|null} - The post's article element or null if not rendered
+ */
+export function getPostElement(postId) {
+  return document.getElementById(`post-${postId}`);
+}
+
+/**
+ * Renders a post at the top of the feed
+ * @param {Object} post - Post from posts.js
+ * @returns {Element} - The rendered article element
+ */
+export function renderPost(post) {
+  if (!post || typeof post !== 'object' || !post.id) {
+    throw new Error('Post object is required');
+  }
+  if (!post.imageData || !post.altText) {
+    throw new Error('Post must contain imageData and altText properties');
+  }
+
+  const feed = getElement('feed');
+  const postedAt = formatTimestamp(post.timestamp);
+
+  const article = document.createElement('article');
+  article.id = `post-${post.id}`;
+  article.className = 'post';
+  article.dataset.postId = post.id;
+  article.setAttribute('aria-label', `Post from ${postedAt}`);
+
+  const figure = document.createElement('figure');
+  figure.className = 'posted-image-figure';
+  // Lets screen readers pronounce the alt text and caption in the right language
+  if (post.language) {
+    figure.lang = post.language;
+  }
+
+  const image = document.createElement('img');
+  image.className = 'posted-image';
+  image.src = post.imageData;
+  image.alt = post.altText;
+  figure.appendChild(image);
+
+  if (post.caption) {
+    const caption = document.createElement('figcaption');
+    caption.className = 'posted-image-caption';
+    caption.textContent = post.caption;
+    figure.appendChild(caption);
+  }
+
+  // Complex images get a long description, linked to the image so screen readers announce it
+  let longDescription = null;
+  if (post.longDescription) {
+    const descriptionId = `post-${post.id}-description`;
+    image.setAttribute('aria-describedby', descriptionId);
+
+    longDescription = document.createElement('details');
+    longDescription.className = 'long-description';
+    if (post.language) {
+      longDescription.lang = post.language;
+    }
+    const summary = document.createElement('summary');
+    summary.textContent = 'Image description';
+    const description = document.createElement('p');
+    description.id = descriptionId;
+    description.textContent = post.longDescription;
+    longDescription.appendChild(summary);
+    longDescription.appendChild(description);
+  }
+
+  const translations = post.translations?.length ? renderTranslations(post.translations) : null;
+
+  const meta = document.createElement('div');
+  meta.className = 'posted-image-meta';
+  meta.textContent = `Posted ${postedAt}`;
+
+  const commentBtn = document.createElement('button');
+  commentBtn.type = 'button';
+  commentBtn.className = 'btn_comment';
+  commentBtn.textContent = '💬 Comment';
+  commentBtn.addEventListener('click', () => {
+    openCommentComposer(post.id, { focus: true });
+  });
+
+  const commentsSection = document.createElement('section');
+  commentsSection.className = 'comments-section';
+  const commentsHeader = document.createElement('h2');
+  commentsHeader.textContent = 'Comments';
+  const commentsList = document.createElement('div');
+  commentsList.className = 'comments-list';
+  commentsSection.appendChild(commentsHeader);
+  commentsSection.appendChild(commentsList);
+
+  article.appendChild(figure);
+  if (longDescription) {
+    article.appendChild(longDescription);
+  }
+  if (translations) {
+    article.appendChild(translations);
+  }
+  article.appendChild(meta);
+  article.appendChild(commentBtn);
+  article.appendChild(commentsSection);
+
+  // Hide the thread until it has comments
+  hideElement(commentsSection);
+
+  feed.prepend(article);
+  showElement(feed);
+
+  post.comments.forEach(comment => renderComment(post.id, comment, { scroll: false }));
+
+  return article;
+}
+
+/**
+ * Renders a post's alt text in other languages as an expandable list
+ * @param {Object[]} translations - Translations with language, alt, longDescription and caption
+ * @returns {Element} - details element listing each language
+ */
+function renderTranslations(translations) {
+  const details = document.createElement('details');
+  details.className = 'alt-text-translations';
+  const summary = document.createElement('summary');
+  summary.textContent = 'Alt text in other languages';
+  const list = document.createElement('dl');
+
+  translations.forEach(translation => {
+    const term = document.createElement('dt');
+    term.textContent = getLanguageName(translation.language);
+    const description = document.createElement('dd');
+    description.lang = translation.language;
+    description.textContent = translation.alt;
+    list.appendChild(term);
+    list.appendChild(description);
+
+    if (translation.caption) {
+      const caption = document.createElement('dd');
+      caption.lang = translation.language;
+      caption.className = 'alt-text-translation-caption';
+      caption.textContent = translation.caption;
+      list.appendChild(caption);
+    }
+  });
+
+  details.appendChild(summary);
+  details.appendChild(list);
+  return details;
+}
+
+/**
+ * Creates the feed element for a comment
+ * @param {Object} comment - Comment from posts.js
+ * @returns {Element} - Comment element
+ */
+function createCommentElement(comment) {
+  const commentItem = document.createElement('div');
+  commentItem.className = 'comment-item';
+  commentItem.dataset.commentId = comment.id;
+
+  // Build the comment HTML
+  commentItem.innerHTML = `
+    <div class="comment-text">${escapeHtml(comment.text)}</div>
+    <div class="comment-meta">
+      <span class="comment-date">${formatTimestamp(comment.timestamp, true)}</span>
+    </div>
+  `;
+
+  // Held comments are only shown to their author until a moderator approves them
+  if (comment.status === 'pending') {
+    commentItem.classList.add('pending');
+    const pendingLabel = document.createElement('span');
+    pendingLabel.className = 'comment-pending';
+    pendingLabel.textContent = '⏳ Pending review';
+    commentItem.querySelector('.comment-meta').appendChild(pendingLabel);
+  }
+
+  // Mark up the comment's language so screen readers pronounce it correctly
+  const language = comment.moderation?.language;
+  if (language) {
+    commentItem.querySelector('.comment-text').lang = language;
+  }
+
+  return commentItem;
+}
+
+/**
+ * Adds a comment to a post's thread in the feed
+ * Rejected comments are not shown
+ * @param {string} postId - Post id
+ * @param {Object} comment - Comment from posts.js
+ * @param {Object} [options] - Rendering options
+ * @param {boolean} [options.scroll] - Whether to scroll the new comment into view
+ * @returns {Element|null} - The rendered comment element or null if the post isn't rendered
+ */
+export function renderComment(postId, comment, { scroll = true } = {}) {
+  const article = getPostElement(postId);
+  if (!article || comment.status === 'rejected') {
+    return null;
+  }
+
+  const commentsSection = article.querySelector('.comments-section');
+  const commentsList = article.querySelector('.comments-list');
+
+  // Show the comments section
+  showElement(commentsSection);
+
+  const commentItem = createCommentElement(comment);
+  commentsList.appendChild(commentItem);
+
+  if (scroll) {
+    // Scroll to the new comment
+    commentItem.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  return commentItem;
+}
+
+/**
+ * Redraws a comment after a moderator reviewed it, removing it from the thread if it was rejected
+ * @param {string} postId - Post id
+ * @param {Object} comment - Updated comment from posts.js
+ */
+export function updateRenderedComment(postId, comment) {
+  const article = getPostElement(postId);
+  const commentItem = article?.querySelector(`.comment-item[data-comment-id="${comment.id}"]`);
+  if (!commentItem) {
+    return;
+  }
+
+  if (comment.status === 'rejected') {
+    commentItem.remove();
+    if (!article.querySelector('.comments-list').hasChildNodes()) {
+      hideElement(article.querySelector('.comments-section'));
+    }
+    return;
+  }
+
+  commentItem.replaceWith(createCommentElement(comment));
+}
+
+/**
+ * Attaches the comment form to a post so new comments go to its thread
+ * @param {string} postId - Post id
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.focus] - Whether to focus the comment textarea
+ */
+export function openCommentComposer(postId, { focus = false } = {}) {
+  const post = getPost(postId);
+  const article = getPostElement(postId);
+  if (!post || !article) {
+    throw new Error(`Post not found: ${postId}`);
+  }
+
+  // Abandon any suggestion in progress for a different post
+  const previousPost = getActivePost();
+  if (previousPost && previousPost.id !== postId) {
+    const cancelSuggestion = getEventHandler('cancelSuggestion');
+    if (cancelSuggestion) {
+      cancelSuggestion();
+    }
+  }
+
+  setActivePost(postId);
+
+  // Move the shared comment form above this post's thread
+  const commentSection = getElement('commentSection');
+  article.insertBefore(commentSection, article.querySelector('.comments-section'));
+  showElement(commentSection);
+
+  // Only show "Comment" buttons on the posts the form isn't attached to
+  document.querySelectorAll('.post .btn_comment').forEach(button => showElement(button));
+  hideElement(article.querySelector('.btn_comment'));
+
+  if (focus) {
+    const commentEl = getElement('comment');
+    if (commentEl) {
+      commentEl.focus();
+    }
+  }
+}
+
+/**
+ * Restores saved posts into the feed and attaches the comment form to the newest one
+ * @returns {Promise<number>} - Number of posts restored
+ */
+export async function restoreFeed() {
+  const restored = await restorePosts();
+
+  // Posts come back oldest first and renderPost() prepends, so the newest ends up on top
+  restored.forEach(post => renderPost(post));
+
+  if (restored.length > 0) {
+    openCommentComposer(restored[restored.length - 1].id);
+    console.log(`✅ Restored ${restored.length} saved post(s)`);
+  }
+
+  // Comments held before the reload are still waiting for a moderator
+  const renderReviewQueue = getEventHandler('renderReviewQueue');
+  if (renderReviewQueue) {
+    renderReviewQueue();
+  }
+
+  return restored.length;
+}
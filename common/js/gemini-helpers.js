@@ -1,8 +1,23 @@
 /**
  * Gemini API Helper Functions
  * Utilities for working with Google's Gemini AI API responses and data structures
+ * Requests go through request-retry.js, so rate limits and server errors are retried before they reach the UI
  */
 
+import { showStatusNotification } from './ui-helpers.js';
+import { readServerSentEvents } from './stream-helpers.js';
+import { fetchWithRetry, ApiRequestError } from './request-retry.js';
+
+// Base URL for Gemini model endpoints
+const GEMINI_API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Reasons Gemini gives for refusing to answer; asking again gets the same answer
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+
+// Type of the error detail that says how long to wait before retrying
+const RETRY_INFO_TYPE = 'type.googleapis.com/google.rpc.RetryInfo';
+const ERROR_INFO_TYPE = 'type.googleapis.com/google.rpc.ErrorInfo';
+
 /**
  * Parses Gemini API response structure consistently
  * @param {Object} data - The API response data
@@ -18,6 +33,11 @@ export function parseGeminiResponse(data, context = 'API call') {
     throw new Error('Context must be a string');
   }
   
+  // The prompt itself was blocked, so there are no candidates
+  if (data.promptFeedback?.blockReason) {
+    throw new ApiRequestError(`${context} was blocked by Gemini's safety filters (${data.promptFeedback.blockReason})`, { retryable: false });
+  }
+  
   // Extract response text from various possible structures
   let responseText = null;
   const candidate = data.candidates?.[0];
@@ -63,6 +83,8 @@ export function parseGeminiResponse(data, context = 'API call') {
     // For truncated responses, provide a different error message
     if (candidate?.finishReason === 'MAX_TOKENS') {
       throw new Error(`${context} response was truncated and no readable content was found. Please try with a shorter input or increase maxOutputTokens.`);
+    } else if (BLOCKED_FINISH_REASONS.includes(candidate?.finishReason)) {
+      throw new ApiRequestError(`${context} response was blocked by Gemini's safety filters (${candidate.finishReason})`, { retryable: false });
     } else if (candidate?.finishReason) {
       throw new Error(`${context} response finished with reason: ${candidate.finishReason}. Unable to process request.`);
     } else {
@@ -71,4 +93,194 @@ export function parseGeminiResponse(data, context = 'API call') {
   }
   
   return responseText;
-}
\ No newline at end of file
+}
+
+/**
+ * Reads a Gemini error response, including the retry delay and error reason in its details
+ * @param {Response} response - Fetch response that isn't ok
+ * @returns {Promise<Object>} - Object with message, retryDelayMs (or null) and, for an invalid API key, retryable
+ */
+async function parseGeminiError(response) {
+  const { error = {} } = await response.json();
+  const details = Array.isArray(error.details) ? error.details : [];
+
+  // retryDelay is a protobuf Duration such as "37s" or "1.5s"
+  const retryDelay = details.find(detail => detail['@type'] === RETRY_INFO_TYPE)?.retryDelay;
+  const retryDelayMs = typeof retryDelay === 'string' && !Number.isNaN(parseFloat(retryDelay))
+    ? Math.ceil(parseFloat(retryDelay) * 1000)
+    : null;
+
+  const reason = details.find(detail => detail['@type'] === ERROR_INFO_TYPE)?.reason;
+  if (reason === 'API_KEY_INVALID') {
+    return { message: 'Your Google AI API key is not valid. Please check it and save it again.', retryable: false, retryDelayMs };
+  }
+
+  return { message: error.message, retryDelayMs };
+}
+
+/**
+ * Tells the user a Gemini request is being retried
+ * @param {string} context - Context of the API call
+ * @param {Object} retry - Retry details from fetchWithRetry()
+ */
+function notifyRetry(context, { attempt, maxAttempts, delayMs, error }) {
+  const seconds = Math.ceil(delayMs / 1000);
+  const problem = error.status ? `Gemini returned ${error.status}` : error.message;
+  showStatusNotification('retrying', `⏳ ${context}: ${problem}. Retrying in ${seconds}s (attempt ${attempt + 1} of ${maxAttempts})`, Math.max(delayMs, 1000));
+}
+
+/**
+ * Posts a request to a Gemini model endpoint, retrying rate limits, server errors and timeouts
+ * @param {string} url - Full endpoint URL including the API key
+ * @param {Object} body - Request body
+ * @param {AbortSignal|null} signal - Optional abort signal for cancellation
+ * @param {string} context - Context of the API call for error reporting
+ * @returns {Promise<Response>} - Successful fetch response
+ * @throws {ApiRequestError} - If the request failed with a fatal error, or every attempt failed
+ */
+async function postToGemini(url, body, signal, context) {
+  return fetchWithRetry(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body)
+  }, {
+    signal,
+    context: `${context} API`,
+    parseError: parseGeminiError,
+    onRetry: retry => notifyRetry(context, retry)
+  });
+}
+
+/**
+ * Validates the options shared by Gemini content requests
+ * @param {Object} options - Request options
+ */
+function validateContentRequest({ model, apiKey, parts }) {
+  if (typeof model !== 'string' || !model.trim()) {
+    throw new Error('Gemini model name is required');
+  }
+  if (!Array.isArray(parts) || parts.length === 0) {
+    throw new Error('Content parts must be a non-empty array');
+  }
+  if (!apiKey) {
+    throw new Error('❌ Please configure your Google AI API key first');
+  }
+}
+
+/**
+ * Builds the body of a Gemini content request
+ * @param {Array} parts - Content parts for the user turn
+ * @param {string|null} systemInstruction - Optional system instruction
+ * @param {Object} generationConfig - Generation settings
+ * @returns {Object} - Request body
+ */
+function buildContentBody(parts, systemInstruction, generationConfig) {
+  return {
+    ...(systemInstruction && { systemInstruction: { parts: [{ text: systemInstruction }] } }),
+    contents: [{ role: 'user', parts }],
+    generationConfig
+  };
+}
+
+/**
+ * Sends a generateContent request to the Gemini API and returns the response text
+ * Shared by every Gemini call so request and error handling live in one place
+ * @param {Object} options - Request options
+ * @param {string} options.model - Gemini model name (e.g. 'gemini-2.5-flash')
+ * @param {string} options.apiKey - Google AI API key
+ * @param {Array} options.parts - Content parts to send (text and inline_data)
+ * @param {string} [options.systemInstruction] - Trusted instructions, sent apart from the (possibly untrusted) parts
+ * @param {Object} options.generationConfig - Generation settings such as temperature
+ * @param {AbortSignal} [options.signal] - Optional abort signal for cancellation
+ * @param {string} [options.context] - Context of the API call for error reporting
+ * @returns {Promise<string>} - Extracted response text
+ */
+export async function generateGeminiContent({ model, apiKey, parts, systemInstruction = null, generationConfig, signal = null, context = 'API call' }) {
+  validateContentRequest({ model, apiKey, parts });
+
+  const response = await postToGemini(
+    `${GEMINI_API_BASE_URL}/${model}:generateContent?key=${apiKey}`,
+    buildContentBody(parts, systemInstruction, generationConfig),
+    signal,
+    context
+  );
+
+  const data = await response.json();
+  return parseGeminiResponse(data, context);
+}
+
+/**
+ * Streams a streamGenerateContent request from the Gemini API over server-sent events
+ * Reports the accumulated text after every chunk so the UI can render it progressively
+ * @param {Object} options - Request options (same as generateGeminiContent)
+ * @param {Function} options.onText - Called with the full text received so far
+ * @returns {Promise<string>} - The complete response text
+ */
+export async function streamGeminiContent({ model, apiKey, parts, systemInstruction = null, generationConfig, signal = null, context = 'API call', onText }) {
+  validateContentRequest({ model, apiKey, parts });
+  if (typeof onText !== 'function') {
+    throw new Error('onText must be a function');
+  }
+
+  const response = await postToGemini(
+    `${GEMINI_API_BASE_URL}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`,
+    buildContentBody(parts, systemInstruction, generationConfig),
+    signal,
+    context
+  );
+
+  let text = '';
+  let lastChunk = null;
+
+  await readServerSentEvents(response, (data) => {
+    const chunk = JSON.parse(data);
+    if (chunk.error) {
+      throw new Error(chunk.error.message || `${context} stream failed`);
+    }
+    lastChunk = chunk;
+
+    const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+    const chunkText = chunkParts.map(part => part.text || '').join('');
+    if (chunkText) {
+      text += chunkText;
+      onText(text);
+    }
+  });
+
+  if (!text) {
+    // Let the regular parser produce the right error (truncated, blocked, empty...)
+    parseGeminiResponse(lastChunk || { candidates: [] }, context);
+  }
+
+  return text;
+}
+
+/**
+ * Converts a JSON Schema into the OpenAPI subset Gemini accepts as responseSchema
+ * Uppercases types and drops keywords Gemini doesn't support (e.g. additionalProperties)
+ * @param {Object} schema - JSON Schema object
+ * @returns {Object} - Gemini-compatible schema
+ */
+export function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') {
+    throw new Error('Schema must be an object');
+  }
+
+  const geminiSchema = {};
+  if (schema.type) geminiSchema.type = schema.type.toUpperCase();
+  if (schema.description) geminiSchema.description = schema.description;
+  if (schema.enum) geminiSchema.enum = [...schema.enum];
+  if (schema.required) geminiSchema.required = [...schema.required];
+  if (schema.items) geminiSchema.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    geminiSchema.properties = {};
+    for (const [key, value] of Object.entries(schema.properties)) {
+      geminiSchema.properties[key] = toGeminiSchema(value);
+    }
+    // Keep the model's output in the same order as the schema
+    geminiSchema.propertyOrdering = Object.keys(schema.properties);
+  }
+  return geminiSchema;
+}
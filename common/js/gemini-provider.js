@@ -0,0 +1,213 @@
+/**
+ * Gemini AI Provider
+ * Serverside inference through Google's Gemini API
+ * Implements the shared provider interface from ai-providers.js
+ */
+
+import { getApiKey, isApiKeyAvailable } from './api-key.js';
+import { generateGeminiContent, streamGeminiContent, toGeminiSchema } from './gemini-helpers.js';
+import { parseImageDataUrl } from './ai-providers.js';
+import { getModerationResponseSchema, parseModerationResponse } from './moderation-schema.js';
+import { ALT_TEXT_RESPONSE_SCHEMA, parseAltTextResponse } from './alt-text-schema.js';
+import { LANGUAGE_DETECTION_SCHEMA, parseLanguageDetectionResponse } from './language-detection.js';
+import { buildAltTextPrompt, buildModerationPrompt, buildRewritePrompt, buildLanguageDetectionPrompt } from './prompts.js';
+
+// Constants
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+const ALT_TEXT_MAX_OUTPUT_TOKENS = 4000;
+const ALT_TEXT_TEMPERATURE = 0.4;
+const MODERATION_MAX_OUTPUT_TOKENS = 3000;
+const MODERATION_TEMPERATURE = 0.3;
+const LANGUAGE_DETECTION_MAX_OUTPUT_TOKENS = 200;
+const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+
+/**
+ * Builds the Gemini request options for describing an image
+ * @param {string} model - Gemini model name
+ * @param {HTMLImageElement} imgElement - DOM img element containing the image
+ * @param {AbortController} controller - Abort controller for cancellation
+ * @param {string} [imageContext] - Text found in the image file to add to the prompt
+ * @param {string} [language] - Language to write the result in
+ * @returns {Object} - Options for generateGeminiContent/streamGeminiContent
+ */
+function buildAltTextRequest(model, imgElement, controller, imageContext = null, language = 'en') {
+  // Check if operation was aborted before proceeding
+  if (controller.signal.aborted) {
+    throw new Error('Operation was cancelled');
+  }
+
+  // Extract image data and detect MIME type from the DOM element
+  const { mimeType, base64Data } = parseImageDataUrl(imgElement.src);
+
+  // Validate MIME type is supported by Gemini
+  if (!SUPPORTED_IMAGE_TYPES.includes(mimeType)) {
+    throw new Error(`Unsupported image type: ${mimeType}. Supported types: ${SUPPORTED_IMAGE_TYPES.join(', ')}`);
+  }
+
+  const prompt = buildAltTextPrompt(imageContext, language);
+  return {
+    model,
+    apiKey: getApiKey(),
+    systemInstruction: prompt.system,
+    parts: [
+      { text: prompt.user },
+      {
+        inline_data: {
+          mime_type: mimeType,
+          data: base64Data
+        }
+      }
+    ],
+    generationConfig: {
+      maxOutputTokens: ALT_TEXT_MAX_OUTPUT_TOKENS,
+      temperature: ALT_TEXT_TEMPERATURE,
+      responseMimeType: 'application/json',
+      responseSchema: toGeminiSchema(ALT_TEXT_RESPONSE_SCHEMA)
+    },
+    signal: controller.signal,
+    context: 'Image analysis'
+  };
+}
+
+/**
+ * Creates a Gemini provider for the AI provider registry
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.model] - Gemini model name to use
+ * @returns {Object} - Provider implementing the shared provider interface
+ */
+export function createGeminiProvider({ model = DEFAULT_MODEL } = {}) {
+  return {
+    name: 'gemini',
+    label: 'Gemini',
+    model,
+
+    /**
+     * Gemini can be used whenever an API key is configured
+     * @returns {Promise<boolean>}
+     */
+    async isAvailable() {
+      return isApiKeyAvailable();
+    },
+
+    /**
+     * Sends the image to Gemini for alt text, a long description and a caption
+     * @param {HTMLImageElement} imgElement - DOM img element containing the image
+     * @param {AbortController} controller - Abort controller for cancellation
+     * @param {Object} [options] - Options
+     * @param {string} [options.context] - Text found in the image file to add to the prompt
+     * @param {string} [options.language] - Language to write the result in
+     * @returns {Promise<Object>} - Result with alt, longDescription and caption
+     * @throws {AltTextValidationError} - If the response doesn't match the alt text schema
+     */
+    async describeImage(imgElement, controller, { context = null, language = 'en' } = {}) {
+      const responseText = await generateGeminiContent(buildAltTextRequest(model, imgElement, controller, context, language));
+      return parseAltTextResponse(responseText);
+    },
+
+    /**
+     * Streams alt text for the image from Gemini as it is generated
+     * @param {HTMLImageElement} imgElement - DOM img element containing the image
+     * @param {Function} onText - Called with the response text generated so far
+     * @param {AbortController} controller - Abort controller for cancellation
+     * @param {Object} [options] - Options
+     * @param {string} [options.context] - Text found in the image file to add to the prompt
+     * @param {string} [options.language] - Language to write the result in
+     * @returns {Promise<Object>} - Result with alt, longDescription and caption
+     * @throws {AltTextValidationError} - If the response doesn't match the alt text schema
+     */
+    async streamDescribeImage(imgElement, onText, controller, { context = null, language = 'en' } = {}) {
+      const responseText = await streamGeminiContent({
+        ...buildAltTextRequest(model, imgElement, controller, context, language),
+        onText
+      });
+      return parseAltTextResponse(responseText);
+    },
+
+    /**
+     * Sends a comment to Gemini for toxicity and tone analysis
+     * @param {string} comment - The comment text to analyze
+     * @param {string} imageDescription - Optional description of the image being commented on
+     * @param {AbortController} [controller] - Optional abort controller for cancellation
+     * @param {Object} [options] - Options
+     * @param {string} [options.language] - Language the comment is written in
+     * @param {string} [options.justification] - The author's explanation of why the comment should be posted as written
+     * @param {string} [options.normalizedComment] - The comment with disguised words spelled out, if that changed it
+     * @returns {Promise<Object>} - Analysis result with a score per moderation category, reason and suggestion
+     * @throws {ModerationValidationError} - If the response doesn't match the moderation schema
+     */
+    async classifyText(comment, imageDescription = null, controller = null, { language = null, justification = null, normalizedComment = null } = {}) {
+      const prompt = buildModerationPrompt(comment, imageDescription, language, { justification, normalizedComment });
+      const responseText = await generateGeminiContent({
+        model,
+        apiKey: getApiKey(),
+        systemInstruction: prompt.system,
+        parts: [{ text: prompt.user }],
+        generationConfig: {
+          maxOutputTokens: MODERATION_MAX_OUTPUT_TOKENS,
+          temperature: MODERATION_TEMPERATURE,
+          // Have Gemini enforce the shared schema instead of scraping JSON out of prose
+          responseMimeType: 'application/json',
+          responseSchema: toGeminiSchema(getModerationResponseSchema())
+        },
+        signal: controller?.signal,
+        context: 'Comment analysis'
+      });
+
+      return parseModerationResponse(responseText);
+    },
+
+    /**
+     * Asks Gemini to rewrite text following the given instructions
+     * @param {string} text - The text to rewrite
+     * @param {string} [instructions] - Optional rewrite instructions
+     * @param {AbortController} [controller] - Optional abort controller for cancellation
+     * @param {Object} [options] - Options
+     * @param {string} [options.language] - Language to write the rewrite in
+     * @returns {Promise<string>} - Rewritten text
+     */
+    async rewriteText(text, instructions = undefined, controller = null, { language = null } = {}) {
+      const prompt = buildRewritePrompt(text, instructions, language);
+      const rewritten = await generateGeminiContent({
+        model,
+        apiKey: getApiKey(),
+        systemInstruction: prompt.system,
+        parts: [{ text: prompt.user }],
+        generationConfig: {
+          maxOutputTokens: MODERATION_MAX_OUTPUT_TOKENS,
+          temperature: MODERATION_TEMPERATURE
+        },
+        signal: controller?.signal,
+        context: 'Text rewriting'
+      });
+
+      return rewritten.replace(/^["']|["']$/g, '').trim();
+    },
+
+    /**
+     * Asks Gemini which language a piece of text is written in
+     * Used when the browser's built-in LanguageDetector is unavailable or unsure
+     * @param {string} text - The text to check
+     * @param {AbortController} [controller] - Optional abort controller for cancellation
+     * @returns {Promise<Object>} - Result with language and confidence
+     */
+    async detectLanguage(text, controller = null) {
+      const prompt = buildLanguageDetectionPrompt(text);
+      const responseText = await generateGeminiContent({
+        model,
+        apiKey: getApiKey(),
+        systemInstruction: prompt.system,
+        parts: [{ text: prompt.user }],
+        generationConfig: {
+          maxOutputTokens: LANGUAGE_DETECTION_MAX_OUTPUT_TOKENS,
+          temperature: 0,
+          responseMimeType: 'application/json',
+          responseSchema: toGeminiSchema(LANGUAGE_DETECTION_SCHEMA)
+        },
+        signal: controller?.signal,
+        context: 'Language detection'
+      });
+
+      return parseLanguageDetectionResponse(responseText);
+    }
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * Image Format Normalization
+ * Works out what kind of image a file is and decodes it into something a canvas can draw,
+ * so image-preprocessing.js can re-encode every upload to a format all AI providers accept
+ *
+ * - JPEG, PNG, WebP, AVIF, GIF (first frame) and BMP are decoded by the browser
+ * - HEIC/HEIF isn't supported, since most browsers can't decode it; isHeicImage() lets uploads turn it away up front
+ * - SVG is rasterized, and its <title>, <desc> and text are kept as extra prompt context
+ */
+
+// Constants
+const SVG_TYPE = 'image/svg+xml';
+const HEIC_TYPES = ['image/heic', 'image/heif'];
+const DEFAULT_SVG_SIZE = 1024; // Raster size for SVGs without width, height or viewBox
+const MAX_SVG_CONTEXT_LENGTH = 1000; // Characters of SVG text passed to the model
+
+// File extensions for files the operating system gave no MIME type (common for HEIC on Windows)
+const EXTENSION_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  heic: 'image/heic',
+  heif: 'image/heif',
+  svg: SVG_TYPE
+};
+
+/**
+ * Gets a file's image MIME type, falling back to its extension when the browser doesn't report one
+ * @param {File|Blob} file - The file to check
+ * @returns {string} - MIME type, or an empty string if it can't be determined
+ */
+export function detectImageType(file) {
+  if (file.type) {
+    return file.type === 'image/jpg' ? 'image/jpeg' : file.type;
+  }
+
+  const extension = (file.name || '').split('.').pop().toLowerCase();
+  return EXTENSION_TYPES[extension] || '';
+}
+
+/**
+ * Checks whether a file is a HEIC/HEIF photo, which can't be uploaded
+ * @param {File|Blob} file - The file to check
+ * @returns {boolean} - True if the file is HEIC or HEIF
+ */
+export function isHeicImage(file) {
+  return HEIC_TYPES.includes(detectImageType(file));
+}
+
+/**
+ * Collapses whitespace and trims text pulled from an SVG
+ * @param {string} text - Raw text
+ * @returns {string} - Cleaned text
+ */
+function cleanSvgText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Pulls the human-readable text out of an SVG document
+ * @param {Document} svgDocument - Parsed SVG document
+ * @returns {string|null} - Title, description and visible text as prompt context, or null if there is none
+ */
+function extractSvgContext(svgDocument) {
+  const root = svgDocument.documentElement;
+  const title = cleanSvgText(root.querySelector('title')?.textContent);
+  const description = cleanSvgText(root.querySelector('desc')?.textContent);
+  const text = [...root.querySelectorAll('text')]
+    .map(node => cleanSvgText(node.textContent))
+    .filter(Boolean)
+    .join(' / ');
+
+  const lines = [];
+  if (title) lines.push(`Title: ${title}`);
+  if (description) lines.push(`Description: ${description}`);
+  if (text) lines.push(`Text in the graphic: ${text}`);
+
+  return lines.length > 0 ? lines.join('\n').slice(0, MAX_SVG_CONTEXT_LENGTH) : null;
+}
+
+/**
+ * Works out an SVG's size from its width/height attributes or viewBox
+ * @param {Element} root - The <svg> element
+ * @returns {Object} - Object with width and height
+ */
+function getSvgSize(root) {
+  const width = parseFloat(root.getAttribute('width'));
+  const height = parseFloat(root.getAttribute('height'));
+  if (width > 0 && height > 0) {
+    return { width, height };
+  }
+
+  const viewBox = (root.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { width: viewBox[2], height: viewBox[3] };
+  }
+
+  return { width: DEFAULT_SVG_SIZE, height: DEFAULT_SVG_SIZE };
+}
+
+/**
+ * Loads an image element from a Blob
+ * @param {Blob} blob - Image data
+ * @returns {Promise<HTMLImageElement>} - Loaded image
+ */
+async function loadImageElement(blob) {
+  const url = URL.createObjectURL(blob);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Decodes an SVG file, keeping its text as prompt context
+ * Scripts never run: the markup is only parsed for text and drawn through an <img>
+ * @param {File|Blob} file - SVG file
+ * @returns {Promise<Object>} - Decoded image (see decodeImageFile)
+ */
+async function decodeSvg(file) {
+  const markup = await file.text();
+  const svgDocument = new DOMParser().parseFromString(markup, SVG_TYPE);
+  const root = svgDocument.documentElement;
+  if (!root || root.nodeName !== 'svg' || svgDocument.querySelector('parsererror')) {
+    throw new Error('This SVG file could not be read');
+  }
+
+  const { width, height } = getSvgSize(root);
+
+  // Give the SVG an explicit size so browsers draw it at the size we expect
+  root.setAttribute('width', width);
+  root.setAttribute('height', height);
+  const sizedSvg = new Blob([new XMLSerializer().serializeToString(svgDocument)], { type: SVG_TYPE });
+
+  return {
+    source: await loadImageElement(sizedSvg),
+    width,
+    height,
+    scalable: true,
+    promptContext: extractSvgContext(svgDocument),
+    close: () => {}
+  };
+}
+
+/**
+ * Decodes a raster image file with its EXIF orientation applied
+ * Falls back to an <img> element for formats createImageBitmap can't handle
+ * @param {File|Blob} file - Image file
+ * @param {string} type - The file's MIME type
+ * @returns {Promise<Object>} - Decoded image (see decodeImageFile)
+ */
+async function decodeRaster(file, type) {
+  try {
+    // GIFs decode to their first frame
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    return {
+      source: bitmap,
+      width: bitmap.width,
+      height: bitmap.height,
+      scalable: false,
+      promptContext: null,
+      close: () => bitmap.close()
+    };
+  } catch (bitmapError) {
+    try {
+      // <img> applies EXIF orientation by default (CSS image-orientation: from-image)
+      const img = await loadImageElement(file);
+      return {
+        source: img,
+        width: img.naturalWidth,
+        height: img.naturalHeight,
+        scalable: false,
+        promptContext: null,
+        close: () => {}
+      };
+    } catch (imgError) {
+      throw new Error(`This image couldn't be decoded by your browser (${type || 'unknown type'})`, { cause: imgError });
+    }
+  }
+}
+
+/**
+ * Decodes any supported image file into something a canvas can draw
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<Object>} - Object with:
+ *   - source: ImageBitmap or HTMLImageElement to draw
+ *   - width, height: Size of the upright image
+ *   - scalable: True for vector images, which can be drawn at any size
+ *   - promptContext: Text from the file to give the model (SVG only), or null
+ *   - close(): Releases the decoded image
+ */
+export async function decodeImageFile(file) {
+  const type = detectImageType(file);
+  if (type === SVG_TYPE) {
+    return decodeSvg(file);
+  }
+  return decodeRaster(file, type);
+}
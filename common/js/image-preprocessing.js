@@ -0,0 +1,172 @@
+/**
+ * Image Preprocessing Module
+ * Prepares uploaded images before they are shown, analyzed or posted:
+ * - Decodes any supported format, including SVG (see image-formats.js)
+ * - Applies the EXIF orientation so the pixels are the right way up
+ * - Downscales to a maximum width/height
+ * - Re-encodes to WebP or JPEG at a chosen quality
+ * - Drops all metadata (EXIF, GPS location, camera details), since only the pixels are redrawn
+ *
+ * Every AI provider reads the image from the preview element, so they all get the processed version
+ */
+
+import { decodeImageFile, detectImageType } from './image-formats.js';
+
+// Constants
+const DEFAULT_OPTIONS = {
+  maxDimension: 1536, // Longest side in pixels; large enough for detailed alt text
+  format: 'image/webp', // 'image/webp' or 'image/jpeg'
+  quality: 0.85 // 0-1 encoder quality
+};
+const SUPPORTED_OUTPUT_FORMATS = ['image/webp', 'image/jpeg'];
+const JPEG_BACKGROUND = '#ffffff'; // JPEG has no transparency, so fill transparent areas with white
+
+// Current preprocessing options
+let preprocessingOptions = { ...DEFAULT_OPTIONS };
+
+/**
+ * Updates the preprocessing options
+ * @param {Object} options - Options to change
+ * @param {number} [options.maxDimension] - Maximum width/height in pixels
+ * @param {string} [options.format] - Output MIME type: 'image/webp' or 'image/jpeg'
+ * @param {number} [options.quality] - Encoder quality between 0 and 1
+ */
+export function setPreprocessingOptions(options = {}) {
+  const next = { ...preprocessingOptions, ...options };
+
+  if (!Number.isInteger(next.maxDimension) || next.maxDimension < 1) {
+    throw new Error('maxDimension must be a positive integer');
+  }
+  if (!SUPPORTED_OUTPUT_FORMATS.includes(next.format)) {
+    throw new Error(`Unsupported output format: ${next.format}. Supported formats: ${SUPPORTED_OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (typeof next.quality !== 'number' || next.quality <= 0 || next.quality > 1) {
+    throw new Error('quality must be a number between 0 and 1');
+  }
+
+  preprocessingOptions = next;
+}
+
+/**
+ * Gets the current preprocessing options
+ * @returns {Object} - Copy of the options with maxDimension, format and quality
+ */
+export function getPreprocessingOptions() {
+  return { ...preprocessingOptions };
+}
+
+/**
+ * Calculates the output size, keeping the aspect ratio
+ * Raster images are never upscaled; vector images are drawn at the full maximum size
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} maxDimension - Maximum width/height
+ * @param {boolean} scalable - Whether the source is a vector image
+ * @returns {Object} - Object with width and height
+ */
+function getScaledSize(width, height, maxDimension, scalable) {
+  const fitScale = maxDimension / Math.max(width, height);
+  const scale = scalable ? fitScale : Math.min(1, fitScale);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * Draws an image onto a new canvas at the given size
+ * @param {ImageBitmap|HTMLImageElement} source - Decoded image
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {string} format - Output MIME type the canvas will be encoded to
+ * @returns {HTMLCanvasElement} - Canvas containing the image
+ */
+function drawToCanvas(source, width, height, format) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext('2d');
+  if (format === 'image/jpeg') {
+    context.fillStyle = JPEG_BACKGROUND;
+    context.fillRect(0, 0, width, height);
+  }
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(source, 0, 0, width, height);
+  return canvas;
+}
+
+/**
+ * Encodes a canvas to the requested format
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} format - Requested MIME type
+ * @param {number} quality - Encoder quality between 0 and 1
+ * @returns {Promise<Blob|null>} - Encoded image, or null if the browser can't encode that format
+ */
+async function encodeCanvas(canvas, format, quality) {
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, format, quality));
+
+  // Browsers that can't encode a format silently return PNG instead
+  return blob && blob.type === format ? blob : null;
+}
+
+/**
+ * Reads a Blob as a base64 data URL
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} - Data URL of the blob
+ */
+function readBlobAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Normalizes, orients, downscales, re-encodes and strips metadata from an image file
+ * @param {Blob} file - Image file to process (any format image-formats.js can decode)
+ * @param {Object} [options] - Overrides for the current preprocessing options
+ * @returns {Promise<Object>} - Object with dataUrl, blob, mimeType, width, height, originalSize, size
+ *   and promptContext (text found in the file, such as an SVG's title, or null)
+ */
+export async function preprocessImage(file, options = {}) {
+  if (!(file instanceof Blob)) {
+    throw new Error('Valid image File or Blob is required');
+  }
+
+  const { maxDimension, format, quality } = { ...preprocessingOptions, ...options };
+  const image = await decodeImageFile(file);
+
+  try {
+    const { width, height } = getScaledSize(image.width, image.height, maxDimension, image.scalable);
+
+    // Only the pixels are redrawn, so no EXIF or GPS data makes it into the new file
+    let blob = await encodeCanvas(drawToCanvas(image.source, width, height, format), format, quality);
+    if (!blob && format !== 'image/jpeg') {
+      console.warn(`⚠️ ${format} encoding not supported, using JPEG instead`);
+      blob = await encodeCanvas(drawToCanvas(image.source, width, height, 'image/jpeg'), 'image/jpeg', quality);
+    }
+    if (!blob) {
+      throw new Error('Failed to encode the image');
+    }
+
+    const dataUrl = await readBlobAsDataUrl(blob);
+
+    console.log(`✅ Preprocessed image: ${Math.round(image.width)}×${Math.round(image.height)} ${detectImageType(file) || 'unknown type'} → ${width}×${height} ${blob.type}, ${Math.round(file.size / 1024)}KB → ${Math.round(blob.size / 1024)}KB`);
+
+    return {
+      dataUrl,
+      blob,
+      mimeType: blob.type,
+      width,
+      height,
+      originalSize: file.size,
+      size: blob.size,
+      promptContext: image.promptContext
+    };
+  } finally {
+    image.close();
+  }
+}
@@ -1,30 +1,34 @@
 /**
  * Image Processing and AI Analysis
  * Handles file uploads, drag-and-drop, AI-powered alt-text generation, and image display
- * Uses dependency injection for AI provider flexibility
+ * Uses the AI provider registry for AI provider flexibility
  */
 
-import { getElement, showSuccessNotification, showStatusNotification, hideElement, showElement, registerEventHandler, handleError } from './ui-helpers.js';
+import { getElement, showSuccessNotification, showStatusNotification, hideElement, showElement, registerEventHandler, getEventHandler, handleError, createRetryButton } from './ui-helpers.js';
+import { describeImage } from './ai-providers.js';
+import { getAltTextCacheKey, getCachedResult, setCachedResult } from './ai-cache.js';
+import { preprocessImage } from './image-preprocessing.js';
+import { detectImageType, isHeicImage } from './image-formats.js';
+import { lintAltText, applyLintFix, evaluateLintPolicy } from './alt-text-linter.js';
+import { getAltTextLanguages, getLanguageName } from './alt-text-languages.js';
+import { createPost } from './posts.js';
+import { renderPost, openCommentComposer } from './feed.js';
 
 // Constants
 const MAX_FILE_SIZE_BYTES = 10 * 1024 * 1024; // 10MB
 const STATUS_NOTIFICATION_DURATION = 4000;
+const LINT_SEVERITY_ICONS = { error: '❌', warning: '⚠️', info: 'ℹ️' };
 
 let currentImageData = null;
+let currentImageContext = null;
+let currentFileName = null;
 let currentAltText = null;
-let currentAnalysisController = null;
-let aiGenerator = null;
+let currentLanguage = null;
+let currentTranslations = [];
 
-/**
- * Configures the AI alt-text generator
- * @param {Function} generator - AI generator function that takes (imageData, controller) and returns Promise<string>
- */
-export function setAIGenerator(generator) {
-  if (typeof generator !== 'function') {
-    throw new Error('AI generator must be a function');
-  }
-  aiGenerator = generator;
-}
+// Alt text the user has already been warned about; accepting it again posts anyway
+let acknowledgedLintText = null;
+let currentAnalysisController = null;
 
 /**
  * Handles file selection from the file input
@@ -35,41 +39,77 @@ export function handleFileSelect(e) {
     throw new Error('Invalid file selection event');
   }
   
-  const file = e.target.files[0];
-  if (file) {
-    handleFile(file);
+  handleFiles(e.target.files);
+}
+
+/**
+ * Routes selected or dropped files: one file opens in the editor, several go to the upload queue
+ * @param {FileList|File[]} files - The image files to process
+ */
+export function handleFiles(files) {
+  const fileList = Array.from(files || []);
+  if (fileList.length === 0) {
+    return;
+  }
+  
+  const enqueueFiles = getEventHandler('enqueueFiles');
+  if (fileList.length > 1 && enqueueFiles) {
+    enqueueFiles(fileList);
+  } else {
+    handleFile(fileList[0]);
   }
 }
 
 /**
- * Processes an uploaded image file
- * Validates file type and size, then displays preview
- * @param {File} file - The image file to process
+ * Checks that a file is an image small enough to analyze
+ * @param {File} file - The file to check
+ * @returns {string|null} - Error message to show, or null if the file is valid
  */
-export function handleFile(file) {
+export function validateImageFile(file) {
   if (!file || !(file instanceof File)) {
     throw new Error('Valid File object is required');
   }
   
-  // Check if it's actually an image
-  if (!file.type.startsWith('image/')) {
-    showStatusNotification('failure', '❌ Please select an image file', STATUS_NOTIFICATION_DURATION);
-    return;
+  // Check if it's actually an image (by extension when the browser reports no type)
+  if (!detectImageType(file).startsWith('image/')) {
+    return '❌ Please select an image file';
+  }
+  
+  // Most browsers can't decode HEIC, so say so now rather than fail partway through
+  if (isHeicImage(file)) {
+    return '❌ HEIC/HEIF photos aren\'t supported. Please convert the photo to JPEG or PNG first.';
   }
   
   // Check file size
   if (file.size > MAX_FILE_SIZE_BYTES) {
-    showStatusNotification('failure', '❌ Image file is too large. Please select a file under 10MB.', STATUS_NOTIFICATION_DURATION);
+    return '❌ Image file is too large. Please select a file under 10MB.';
+  }
+  
+  return null;
+}
+
+/**
+ * Processes an uploaded image file
+ * Validates file type and size, preprocesses it, then displays preview
+ * @param {File} file - The image file to process
+ */
+export async function handleFile(file) {
+  const validationError = validateImageFile(file);
+  if (validationError) {
+    showStatusNotification('failure', validationError, STATUS_NOTIFICATION_DURATION);
     return;
   }
   
-  // Read the file as base64 data URL
-  const reader = new FileReader();
-  reader.onload = (e) => {
-    displayImagePreview(e.target.result, file.name);
-    generateAltText(e.target.result);
-  };
-  reader.readAsDataURL(file);
+  try {
+    // Fix orientation, downscale and strip metadata before anything sees the image
+    const { dataUrl, promptContext } = await preprocessImage(file);
+    currentImageContext = promptContext;
+    displayImagePreview(dataUrl, file.name);
+    generateAltText(dataUrl);
+  } catch (error) {
+    const errorMsg = handleError(error, 'Image preprocessing');
+    showStatusNotification('failure', errorMsg, STATUS_NOTIFICATION_DURATION);
+  }
 }
 
 /**
@@ -79,6 +119,7 @@ export function handleFile(file) {
  */
 function displayImagePreview(dataUrl, fileName) {
   currentImageData = dataUrl;
+  currentFileName = fileName;
   
   const preview = getElement('imagePreview');
   const img = getElement('previewImg');
@@ -93,23 +134,21 @@ function displayImagePreview(dataUrl, fileName) {
 }
 
 /**
- * Generates alt-text for an image using the configured AI provider
- * @param {string} imageData - Base64 data URL of the image (for backwards compatibility)
+ * Generates alt-text for an image using the best available AI provider
+ * Alt text generated earlier for the same image, languages and file text is reused from the cache
+ * @param {string} imageData - Base64 data URL of the image
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.bypassCache] - Always ask the AI, e.g. when the user wants a different result
  */
-export async function generateAltText(imageData) {
-  // Check if AI generator is configured via dependency injection
-  if (!aiGenerator) {
-    updateAltTextResult('❌ No AI alt-text generator configured. Call setAIGenerator() first.');
-    return;
-  }
-  
+export async function generateAltText(imageData, { bypassCache = false } = {}) {
   // Cancel any existing analysis
   if (currentAnalysisController) {
     currentAnalysisController.abort();
   }
   
   // Create new abort controller for cancellation
-  currentAnalysisController = new AbortController();
+  const controller = new AbortController();
+  currentAnalysisController = controller;
   
   // Show loading state
   const altTextResult = getElement('altTextResult');
@@ -127,43 +166,102 @@ export async function generateAltText(imageData) {
   }
   
   try {
-    // Get the DOM img element that contains the image
-    const imgElement = getElement('previewImg');
+    const languages = getAltTextLanguages();
+    const cacheKey = await getAltTextCacheKey(imageData, { languages, context: currentImageContext });
+    let description = bypassCache ? null : await getCachedResult(cacheKey);
+    const fromCache = Boolean(description);
     
-    // Call the injected AI generator with appropriate parameter based on generator signature
-    // Support both data URL (01multimodal-ai) and DOM element (02hybrid-ai) interfaces
-    let altText;
-    try {
-      // Try with DOM element first (02hybrid-ai style)
-      altText = await aiGenerator(imgElement, currentAnalysisController);
-    } catch (error) {
-      // If it fails due to parameter validation, try with imageData (01multimodal-ai style)
-      if (error.message.includes('HTMLImageElement') || error.message.includes('Valid image data URL is required')) {
-        altText = await aiGenerator(imageData, currentAnalysisController);
-      } else {
-        throw error;
+    if (!description) {
+      // Get the DOM img element that contains the image
+      const imgElement = getElement('previewImg');
+      
+      // Providers read whatever they need (pixels or data URL) from the img element
+      // Providers that can stream write tokens into the editor as they arrive
+      description = await describeImage(imgElement, controller, {
+        // Text from the file itself (such as an SVG's title) helps the model get names and labels right
+        context: currentImageContext,
+        languages,
+        onText: (text) => {
+          if (controller === currentAnalysisController) {
+            showStreamingAltText(text);
+          }
+        }
+      });
+      if (description && description.alt) {
+        setCachedResult(cacheKey, description);
       }
     }
     
+    // A newer analysis has replaced this one, leave the UI to it
+    if (controller !== currentAnalysisController) {
+      return;
+    }
+    
+    if (fromCache) {
+      showStatusNotification('success', '♻️ Reused the alt text generated earlier for this image. Regenerate for a new one.', STATUS_NOTIFICATION_DURATION);
+    }
     
-    if (altText) {
-      currentAltText = altText;
-      updateAltTextResult(altText);
+    if (description && description.alt) {
+      currentAltText = description.alt;
+      currentLanguage = description.language;
+      currentTranslations = description.translations;
+      updateAltTextResult(description.alt);
+      setDescriptionFields(description);
+      renderTranslationEditors(getElement('altTextTranslations'), description.translations);
     } else {
       throw new Error('No alt text generated');
     }
   } catch (error) {
+    if (controller !== currentAnalysisController) {
+      return;
+    }
     if (error.name === 'AbortError') {
       updateAltTextResult('⏹️ Analysis cancelled');
     } else {
       const errorMsg = handleError(error, 'Alt text generation');
       updateAltTextResult(errorMsg);
+      
+      // The editor and its regenerate button are hidden on error, so offer a retry here instead
+      const retryButton = createRetryButton(error, () => generateAltText(imageData, { bypassCache }));
+      if (retryButton) {
+        getElement('altTextResult').appendChild(retryButton);
+      }
     }
   } finally {
-    currentAnalysisController = null;
+    if (currentAnalysisController === controller) {
+      currentAnalysisController = null;
+    }
   }
 }
 
+/**
+ * Shows partial alt text in the editor while it is still being generated
+ * The editor stays read-only and posting is disabled until generation finishes
+ * @param {string} text - The alt text generated so far
+ */
+function showStreamingAltText(text) {
+  const resultEl = getElement('altTextResult');
+  const actionsEl = getElement('altTextActions');
+  const editorEl = getElement('altTextEditor');
+  const acceptBtn = getElement('btnAccept');
+  
+  hideElement(resultEl);
+  showElement(actionsEl);
+  
+  editorEl.value = text;
+  editorEl.readOnly = true;
+  editorEl.setAttribute('aria-busy', 'true');
+  hideElement('altTextLint');
+  editorEl.classList.add('streaming');
+  
+  // The long description, caption and other languages arrive with the finished result
+  setDescriptionFields({ longDescription: '', caption: '' }, { readOnly: true });
+  renderTranslationEditors(getElement('altTextTranslations'), []);
+  
+  if (acceptBtn) {
+    acceptBtn.disabled = true;
+  }
+}
 
 /**
  * Cancels the current image selection and returns to upload area
@@ -193,11 +291,13 @@ export function cancelImageSelection() {
   altTextResult.innerHTML = '<div class="loading">Analyzing image with AI...</div>';
   showElement(altTextResult);
   
-  // Clear alt text editor if it exists
+  // Clear alt text editors if they exist
   const altTextEditor = getElement('altTextEditor');
   if (altTextEditor) {
     altTextEditor.value = '';
   }
+  setDescriptionFields({ longDescription: '', caption: '' });
+  renderTranslationEditors(getElement('altTextTranslations'), []);
   
   // Show upload area again
   const uploadArea = getElement('uploadArea');
@@ -208,7 +308,12 @@ export function cancelImageSelection() {
   fileInput.value = '';
   
   currentImageData = null;
+  currentImageContext = null;
+  currentFileName = null;
   currentAltText = null;
+  currentLanguage = null;
+  currentTranslations = [];
+  acknowledgedLintText = null;
 }
 
 /**
@@ -219,6 +324,15 @@ function updateAltTextResult(text) {
   const resultEl = getElement('altTextResult');
   const actionsEl = getElement('altTextActions');
   const editorEl = getElement('altTextEditor');
+  const acceptBtn = getElement('btnAccept');
+  
+  // Generation has finished, so end any streaming state
+  editorEl.readOnly = false;
+  editorEl.removeAttribute('aria-busy');
+  editorEl.classList.remove('streaming');
+  if (acceptBtn) {
+    acceptBtn.disabled = false;
+  }
   
   if (text.startsWith('❌') || text.startsWith('⏹️')) {
     // Show error state
@@ -230,6 +344,7 @@ function updateAltTextResult(text) {
     hideElement(resultEl);
     editorEl.value = text;
     showElement(actionsEl);
+    updateAltTextLint();
     
     // Make sure regenerate button is visible
     const regenerateBtn = getElement('btnRegenerate');
@@ -241,6 +356,146 @@ function updateAltTextResult(text) {
   }
 }
 
+/**
+ * Fills the long description and caption editors next to the alt text editor
+ * @param {Object} description - Generated description
+ * @param {string} description.longDescription - Long description, or an empty string
+ * @param {string} description.caption - Suggested visible caption
+ * @param {string} [description.language] - Language the description is written in
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.readOnly] - Whether the editors should be read-only (while generating)
+ */
+function setDescriptionFields({ longDescription, caption, language = '' }, { readOnly = false } = {}) {
+  const longDescriptionEl = getElement('longDescriptionEditor');
+  const captionEl = getElement('captionEditor');
+  
+  // Spell checking and screen readers follow the lang attribute
+  [getElement('altTextEditor'), longDescriptionEl, captionEl].forEach(el => {
+    if (el) el.lang = language;
+  });
+  
+  if (longDescriptionEl) {
+    longDescriptionEl.value = longDescription;
+    longDescriptionEl.readOnly = readOnly;
+  }
+  if (captionEl) {
+    captionEl.value = caption;
+    captionEl.readOnly = readOnly;
+  }
+}
+
+/**
+ * Renders an editable alt text field for each extra language
+ * @param {Element|null} containerEl - Element to render into
+ * @param {Object[]} translations - Translations with language, alt, longDescription and caption
+ * @param {string} [idPrefix] - Prefix for the editor ids, so several sets can be on the page
+ */
+export function renderTranslationEditors(containerEl, translations, idPrefix = 'altTextTranslation') {
+  if (!containerEl) {
+    return;
+  }
+  containerEl.innerHTML = '';
+  
+  translations.forEach(translation => {
+    const editorId = `${idPrefix}-${translation.language}`;
+    
+    const label = document.createElement('label');
+    label.className = 'alt-text-label';
+    label.htmlFor = editorId;
+    label.textContent = `Alt text (${getLanguageName(translation.language)})`;
+    
+    const editor = document.createElement('textarea');
+    editor.id = editorId;
+    editor.className = 'alt-text-editor alt-text-translation';
+    editor.lang = translation.language;
+    editor.dataset.language = translation.language;
+    editor.value = translation.alt;
+    
+    containerEl.appendChild(label);
+    containerEl.appendChild(editor);
+  });
+  
+  if (translations.length > 0) {
+    showElement(containerEl);
+  } else {
+    hideElement(containerEl);
+  }
+}
+
+/**
+ * Reads edited alt text back out of the translation editors
+ * @param {Element|null} containerEl - Element the editors were rendered into
+ * @param {Object[]} translations - Translations the editors were rendered from
+ * @returns {Object[]} - Translations with the edited alt text
+ */
+export function readTranslationEditors(containerEl, translations) {
+  return translations.map(translation => {
+    const editor = containerEl?.querySelector(`.alt-text-translation[data-language="${translation.language}"]`);
+    return editor ? { ...translation, alt: editor.value } : translation;
+  });
+}
+
+/**
+ * Renders alt text lint issues as a list with a fix button for each
+ * @param {Element} listEl - List element to render into
+ * @param {Object[]} issues - Issues from lintAltText()
+ * @param {Function} onFix - Called with the issue whose fix button was clicked
+ */
+export function renderLintIssues(listEl, issues, onFix) {
+  listEl.innerHTML = '';
+  
+  issues.forEach(issue => {
+    const itemEl = document.createElement('li');
+    itemEl.className = `alt-text-lint-item ${issue.severity}`;
+    
+    const messageEl = document.createElement('span');
+    messageEl.textContent = `${LINT_SEVERITY_ICONS[issue.severity]} ${issue.message}`;
+    
+    const fixBtn = document.createElement('button');
+    fixBtn.type = 'button';
+    fixBtn.className = 'btn_suggestion';
+    fixBtn.textContent = issue.fixLabel;
+    fixBtn.addEventListener('click', () => onFix(issue));
+    
+    itemEl.appendChild(messageEl);
+    itemEl.appendChild(fixBtn);
+    listEl.appendChild(itemEl);
+  });
+  
+  if (issues.length > 0) {
+    showElement(listEl);
+  } else {
+    hideElement(listEl);
+  }
+}
+
+/**
+ * Lints the alt text in the editor and shows any issues below it
+ * @returns {Object[]} - Issues found in the current alt text
+ */
+export function updateAltTextLint() {
+  const editorEl = getElement('altTextEditor');
+  const lintEl = getElement('altTextLint');
+  if (!editorEl || !lintEl) {
+    return [];
+  }
+  
+  const context = { fileName: currentFileName };
+  const issues = lintAltText(editorEl.value, context);
+  
+  renderLintIssues(lintEl, issues, (issue) => {
+    if (issue.fixAction === 'regenerate') {
+      getElement('btnRegenerate').click();
+      return;
+    }
+    editorEl.value = applyLintFix(editorEl.value, issue.ruleId, context);
+    editorEl.focus();
+    updateAltTextLint();
+  });
+  
+  return issues;
+}
+
 /**
  * Handles accepting and posting the image with alt text
  */
@@ -258,25 +513,37 @@ export function acceptAndPostImage() {
     return;
   }
   
-  // Posting image with alt text
+  // Block or warn about alt text problems according to the lint severity policy
+  const issues = updateAltTextLint();
+  const { action, issues: policyIssues } = evaluateLintPolicy(issues);
+  if (action === 'block') {
+    showStatusNotification('failure', `❌ Please fix the alt text before posting: ${policyIssues[0].message}`, STATUS_NOTIFICATION_DURATION);
+    getElement('altTextLint').focus();
+    return;
+  }
+  if (action === 'warn' && acknowledgedLintText !== finalAltText) {
+    acknowledgedLintText = finalAltText;
+    showStatusNotification('failure', `⚠️ ${policyIssues.length} alt text warning(s). Fix them, or click "Add alt text & post" again to post anyway.`, STATUS_NOTIFICATION_DURATION);
+    return;
+  }
   
-  // Create posted image object
-  const postedImage = {
-    id: Date.now().toString(),
-    imageData: imageData,
+  // Create the post with its own image, alt text, description, caption, timestamp and comment thread
+  const post = createPost({
+    imageData,
     altText: finalAltText,
-    timestamp: new Date().toISOString()
-  };
-  
-  // Image data stays in memory (no persistence needed)
+    longDescription: getElement('longDescriptionEditor')?.value || '',
+    caption: getElement('captionEditor')?.value || '',
+    language: currentLanguage || '',
+    translations: readTranslationEditors(getElement('altTextTranslations'), currentTranslations)
+  });
   
-  // Display in feed
-  displayPostedImage(postedImage);
+  // Add it to the top of the feed
+  displayPostedImage(post);
   
-  // Show comment section
-  showCommentSection();
+  // Attach the comment form to the new post
+  showCommentSection(post.id);
   
-  // Reset upload interface
+  // Reset upload interface so another image can be posted
   resetUploadInterface();
   
   // Show success notification
@@ -284,76 +551,53 @@ export function acceptAndPostImage() {
 }
 
 /**
- * Displays the posted image in the single image display area
- * @param {Object} imageData - The posted image data
+ * Displays a posted image at the top of the feed
+ * @param {Object} post - The post created by createPost()
  */
-export function displayPostedImage(imageData) {
-  if (!imageData || typeof imageData !== 'object') {
-    throw new Error('Image data object is required');
+export function displayPostedImage(post) {
+  if (!post || typeof post !== 'object') {
+    throw new Error('Post object is required');
   }
-  if (!imageData.imageData || !imageData.altText) {
-    throw new Error('Image data must contain imageData and altText properties');
-  }
-  
-  const postedImageSection = getElement('postedImageSection');
-  const postedImage = getElement('postedImage');
-  const postedImageMeta = getElement('postedImageMeta');
-  
-  if (!postedImageSection || !postedImage || !postedImageMeta) {
-    return;
+  if (!post.imageData || !post.altText) {
+    throw new Error('Post must contain imageData and altText properties');
   }
   
-  // Show the posted image section
-  showElement(postedImageSection);
-  
-  // Set the image source and alt text
-  postedImage.src = imageData.imageData;
-  postedImage.alt = imageData.altText;
-  
-  // Format timestamp
-  const timestamp = new Date(imageData.timestamp).toLocaleDateString('en-US', {
-    month: 'short',
-    day: 'numeric',
-    hour: 'numeric',
-    minute: '2-digit'
-  });
-  
-  // Set the metadata
-  postedImageMeta.textContent = `Posted ${timestamp}`;
+  renderPost(post);
 }
 
 /**
- * Shows the comment section after an image is posted
+ * Shows the comment section on a post after it is posted
+ * @param {string} postId - Id of the post to comment on
  */
-export function showCommentSection() {
-  const commentSection = getElement('commentSection');
-  if (commentSection) {
-    showElement(commentSection);
-  }
+export function showCommentSection(postId) {
+  openCommentComposer(postId);
 }
 
 /**
- * Resets and hides the upload interface after posting
+ * Resets the upload interface after posting so it's ready for the next image
  */
 function resetUploadInterface() {
-  const uploadSection = getElement('uploadSection');
   const uploadArea = getElement('uploadArea');
   const preview = getElement('imagePreview');
   const actionsEl = getElement('altTextActions');
   const fileInput = getElement('fileInput');
   
-  // Hide the entire upload section after successful posting
-  hideElement(uploadSection);
-  
-  // Make sure upload area is visible when section is shown again
+  // Show the upload area again for the next image
   showElement(uploadArea);
   
   hideElement(preview);
   hideElement(actionsEl);
   if (fileInput) fileInput.value = '';
+  setDescriptionFields({ longDescription: '', caption: '' });
+  renderTranslationEditors(getElement('altTextTranslations'), []);
   
   currentImageData = null;
+  currentImageContext = null;
+  currentFileName = null;
   currentAltText = null;
+  currentLanguage = null;
+  currentTranslations = [];
+  acknowledgedLintText = null;
 }
 
 /**
@@ -376,8 +620,10 @@ export function getCurrentAltText() {
 // Register event handlers to avoid circular dependencies
 registerEventHandler('handleFileSelect', handleFileSelect);
 registerEventHandler('handleFile', handleFile);
+registerEventHandler('handleFiles', handleFiles);
 registerEventHandler('generateAltText', generateAltText);
 registerEventHandler('acceptAndPostImage', acceptAndPostImage);
+registerEventHandler('updateAltTextLint', updateAltTextLint);
 registerEventHandler('cancelImageSelection', cancelImageSelection);
 registerEventHandler('getCurrentImageData', getCurrentImageData);
 
@@ -0,0 +1,127 @@
+/**
+ * Prompt Injection Detector
+ * Spots text written to manipulate the AI moderator rather than to talk to people,
+ * such as "ignore previous instructions" or a fake JSON verdict
+ *
+ * The model scores the prompt_injection policy category itself, but a model that falls for an injection
+ * may also score it 0. These patterns don't depend on the model, and the higher of the two scores is used.
+ *
+ * One pattern alone also matches ordinary comments ("ignore the rules of composition", "System: Sony A7 IV"),
+ * so a single signal only raises the score into the policy's review range, and the comment is held for a person.
+ * Two or more different signals are scored by their weights and can block the comment on their own.
+ */
+
+import { getModerationPolicy } from './moderation-policy.js';
+
+// Constants
+export const INJECTION_CATEGORY = 'prompt_injection';
+const EXTRA_MATCH_WEIGHT = 0.1; // Each additional signal makes an injection more likely
+
+/**
+ * Signals of an injection attempt, each with how strongly it suggests one on its own
+ */
+const INJECTION_PATTERNS = [
+  {
+    id: 'ignore-instructions',
+    pattern: /\b(ignore|disregard|forget|override|bypass)\b[^.!?\n]{0,40}\b(instructions?|rules|prompts?|guidelines|directives)\b/i,
+    weight: 0.9
+  },
+  {
+    id: 'new-instructions',
+    pattern: /\b(new|updated|real|actual|system)\s+(instructions?|rules|prompt)\s*:/i,
+    weight: 0.8
+  },
+  {
+    id: 'role-marker',
+    pattern: /(^|\n)\s*(system|developer|assistant)\s*:|\[\/?(system|inst)\]|<\|?(system|im_start|im_end|endoftext)\|?>/i,
+    weight: 0.8
+  },
+  {
+    id: 'fake-verdict',
+    pattern: /\{\s*"(scores|reason|suggestion|isProblematic|alt|language)"\s*:/i,
+    weight: 0.8
+  },
+  {
+    id: 'dictate-result',
+    pattern: /\b(return|respond|output|answer|reply|set|score|mark|rate|classify)\b[^.!?\n]{0,40}\b(isProblematic|scores?|verdict|not problematic|harmless|(as|is) safe)\b/i,
+    weight: 0.7
+  },
+  {
+    id: 'prompt-leak',
+    pattern: /\b(reveal|print|show|repeat|output)\b[^.!?\n]{0,30}\b(system prompt|your (instructions|prompt|rules))\b/i,
+    weight: 0.7
+  },
+  {
+    id: 'fake-delimiter',
+    pattern: /<\/?\s*(untrusted[\w-]*|comment|system|instructions?|user|image-description|justification)\b[^>]*>/i,
+    weight: 0.6
+  },
+  {
+    id: 'role-override',
+    pattern: /\b(you are now|from now on,? you|pretend (to be|you are)|act as (an?|the) (ai|assistant|moderator|system))\b/i,
+    weight: 0.5
+  },
+  {
+    id: 'addressing-the-ai',
+    pattern: /\b(dear|hey|attention|note to(( the)? (ai|model|moderator))?)\s*,?\s*(ai|llm|language model|gemini|chatgpt|moderator bot|model)\b/i,
+    weight: 0.4
+  }
+];
+
+/**
+ * Checks text for signs of a prompt injection attempt
+ * @param {string} text - Untrusted text such as a comment
+ * @returns {Object} - Result with score (0 to 1) and matches: the ids of the signals found
+ */
+export function detectPromptInjection(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Text must be a string');
+  }
+
+  const found = INJECTION_PATTERNS.filter(({ pattern }) => pattern.test(text));
+  if (found.length === 0) {
+    return { score: 0, matches: [] };
+  }
+
+  const strongest = Math.max(...found.map(({ weight }) => weight));
+  return {
+    score: Math.min(1, strongest + EXTRA_MATCH_WEIGHT * (found.length - 1)),
+    matches: found.map(({ id }) => id)
+  };
+}
+
+/**
+ * Gets the score that puts a comment in the review range of the prompt_injection category:
+ * close enough to its threshold to be held for a person, but not over it
+ * @returns {number|null} - Score, or null if the policy has no prompt_injection category
+ */
+function getReviewScore() {
+  const { categories, reviewMargin } = getModerationPolicy();
+  const category = categories.find(({ id }) => id === INJECTION_CATEGORY);
+  return category ? Math.max(0, category.threshold - reviewMargin / 2) : null;
+}
+
+/**
+ * Raises the prompt_injection score to what the detector finds in any of the texts
+ * A single signal only raises it into the review range (see the module comment)
+ * @param {Object} scores - Scores from the model, by category id
+ * @param {string[]} texts - Untrusted texts the author wrote (the comment and any justification)
+ * @returns {Object} - Result with scores (a copy, with the injection score raised if needed) and matches
+ */
+export function applyInjectionDetector(scores, texts) {
+  const results = texts.filter(Boolean).map(detectPromptInjection);
+  const matches = [...new Set(results.flatMap(result => result.matches))];
+
+  let score = 0;
+  if (matches.length === 1) {
+    score = getReviewScore() ?? 0;
+  } else if (matches.length > 1) {
+    const weights = INJECTION_PATTERNS.filter(({ id }) => matches.includes(id)).map(({ weight }) => weight);
+    score = Math.min(1, Math.max(...weights) + EXTRA_MATCH_WEIGHT * (weights.length - 1));
+  }
+
+  return {
+    scores: { ...scores, [INJECTION_CATEGORY]: Math.max(scores[INJECTION_CATEGORY] ?? 0, score) },
+    matches
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Language Detection Module
+ * Works out which language a comment is written in so it can be moderated, and answered, in that language
+ *
+ * Uses the browser's built-in LanguageDetector API when it is available and confident,
+ * otherwise asks the AI provider registry (Gemini or a self-hosted model)
+ */
+
+import { detectTextLanguage } from './ai-providers.js';
+import { normalizeLanguageTag } from './alt-text-languages.js';
+
+// Constants
+const MIN_CONFIDENCE = 0.5; // Below this, the on-device result is treated as a guess
+const UNDETERMINED_LANGUAGE = 'und';
+
+/**
+ * JSON Schema for a language detection result
+ * Used as Gemini's responseSchema and OpenAI's json_schema
+ */
+export const LANGUAGE_DETECTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    language: {
+      type: 'string',
+      description: 'BCP 47 language tag of the text, such as "en", "es" or "pt-BR", or "und" if it cannot be determined'
+    },
+    confidence: {
+      type: 'number',
+      description: 'Confidence between 0 and 1'
+    }
+  },
+  required: ['language', 'confidence'],
+  additionalProperties: false
+};
+
+// On-device detector, created once and shared
+let detectorPromise = null;
+
+/**
+ * Parses and validates a schema-constrained language detection response
+ * @param {string} responseText - Raw JSON text returned by the model
+ * @returns {Object} - Result with language (canonical tag, or null if undetermined) and confidence
+ * @throws {Error} - If the text isn't valid JSON or doesn't match the schema
+ */
+export function parseLanguageDetectionResponse(responseText) {
+  let parsed;
+  try {
+    parsed = JSON.parse(responseText);
+  } catch (parseError) {
+    throw new Error(`AI returned an invalid language detection result: response is not valid JSON (${parseError.message})`);
+  }
+
+  if (!parsed || typeof parsed.language !== 'string' || typeof parsed.confidence !== 'number') {
+    throw new Error('AI returned an invalid language detection result: language must be a string and confidence a number');
+  }
+
+  return {
+    language: parsed.language === UNDETERMINED_LANGUAGE ? null : normalizeLanguageTag(parsed.language),
+    confidence: Math.min(1, Math.max(0, parsed.confidence))
+  };
+}
+
+/**
+ * Gets the on-device language detector, creating it on first use
+ * @returns {Promise<Object|null>} - LanguageDetector instance, or null if it can't be used without a download
+ */
+async function getOnDeviceDetector() {
+  if (!('LanguageDetector' in self)) {
+    return null;
+  }
+
+  if (!detectorPromise) {
+    detectorPromise = (async () => {
+      // Only use a detector that is already downloaded; comments shouldn't wait on a model download
+      if (await LanguageDetector.availability() !== 'available') {
+        return null;
+      }
+      return LanguageDetector.create();
+    })().catch(error => {
+      console.warn('⚠️ LanguageDetector could not be created:', error.message);
+      return null;
+    });
+  }
+
+  const detector = await detectorPromise;
+  if (!detector) {
+    // Try again next time, the model may have finished downloading
+    detectorPromise = null;
+  }
+  return detector;
+}
+
+/**
+ * Detects the language with the browser's built-in LanguageDetector
+ * @param {string} text - Text to check
+ * @param {AbortController} [controller] - Optional abort controller for cancellation
+ * @returns {Promise<Object|null>} - Result with language and confidence, or null if unavailable or unsure
+ */
+async function detectOnDevice(text, controller) {
+  const detector = await getOnDeviceDetector();
+  if (!detector) {
+    return null;
+  }
+
+  const [best] = await detector.detect(text, controller ? { signal: controller.signal } : {});
+  if (!best || best.detectedLanguage === UNDETERMINED_LANGUAGE || best.confidence < MIN_CONFIDENCE) {
+    return null;
+  }
+
+  return { language: normalizeLanguageTag(best.detectedLanguage), confidence: best.confidence };
+}
+
+/**
+ * Detects which language a piece of text is written in
+ * @param {string} text - Text to check
+ * @param {AbortController} [controller] - Optional abort controller for cancellation
+ * @returns {Promise<Object|null>} - Result with language (BCP 47 tag), confidence and source
+ *   ('on-device' or the provider name), or null if the language couldn't be determined
+ */
+export async function detectLanguage(text, controller = null) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Text must be a non-empty string');
+  }
+
+  try {
+    const onDevice = await detectOnDevice(text, controller);
+    if (onDevice?.language) {
+      console.log(`✅ Detected ${onDevice.language} on-device (${Math.round(onDevice.confidence * 100)}%)`);
+      return { ...onDevice, source: 'on-device' };
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+    console.warn('⚠️ On-device language detection failed:', error.message);
+  }
+
+  try {
+    const cloud = await detectTextLanguage(text, controller);
+    if (cloud.language && cloud.confidence >= MIN_CONFIDENCE) {
+      console.log(`✅ Detected ${cloud.language} with ${cloud.source} (${Math.round(cloud.confidence * 100)}%)`);
+      return cloud;
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+    console.warn('⚠️ Language detection failed, moderating without a known language:', error.message);
+  }
+
+  return null;
+}
@@ -0,0 +1,299 @@
+/**
+ * Moderation Audit Log
+ * Records every moderation decision, and what the user did about it, in IndexedDB (storage.js)
+ * so false positives can be audited and the system's behavior shown afterwards
+ *
+ * Each event holds the comment text and its normalized form (raw, or only their SHA-256 hashes),
+ * the provider and model that judged it (or the pre-filter rule that decided), how long that took,
+ * the verdict with its scores, reason and suggestion, and every step the user took in response, in order.
+ * In hashed mode nothing that could contain the comment is kept: the author's explanation, and the AI's reason
+ * and suggested rewrite (which often quote or paraphrase the comment), are stored as null.
+ * The log can be exported as JSON Lines or CSV.
+ */
+
+import { showStatusNotification } from './ui-helpers.js';
+import { saveModerationEvent, updateModerationEvent, loadModerationEvents, clearModerationEvents } from './storage.js';
+
+// Constants
+const SETTINGS_STORAGE_KEY = 'moderationLogSettings';
+const TEXT_MODES = ['raw', 'hashed'];
+const EXPORT_FORMATS = {
+  jsonl: { mimeType: 'application/x-ndjson', extension: 'jsonl' },
+  csv: { mimeType: 'text/csv', extension: 'csv' }
+};
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'postId', 'stage', 'textMode', 'text', 'textHash', 'normalizedText', 'normalizedHash', 'justification',
+  'language', 'provider', 'model', 'cached', 'latencyMs', 'rule', 'verdict', 'uncertain', 'categories', 'scores', 'reason', 'suggestion', 'error', 'userActions'
+];
+
+/**
+ * What the user did after a verdict
+ */
+export const USER_ACTIONS = [
+  'posted', // Allowed comment was posted
+  'accepted-rewrite', // Posted the suggested rewrite unchanged
+  'edited-rewrite', // Edited the suggestion, then submitted it
+  'regenerated', // Asked for another suggestion
+  'posted-as-written', // Posted the original after a warning
+  'justified', // Explained why the original should be posted anyway
+  'held-for-review', // Sent to the review queue instead of being posted
+  'cancelled' // Gave up on the comment
+];
+
+// Whether comment text is stored as written or only as a hash
+let textMode = 'raw';
+
+// Saves still in progress, so user actions are only recorded once their event exists
+const pendingSaves = new Map();
+
+/**
+ * Creates a unique id for a log event
+ * @returns {string} - Unique id
+ */
+function createEventId() {
+  return `mod-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Hashes text with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} - Lowercase hex digest
+ */
+export async function hashText(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Sets whether comment text is logged as written or only as a SHA-256 hash
+ * Hashed events also leave out the explanation, reason and suggestion (see the module comment)
+ * Events that are already logged are not changed
+ * @param {string} mode - 'raw' or 'hashed'
+ */
+export function setModerationLogTextMode(mode) {
+  if (!TEXT_MODES.includes(mode)) {
+    throw new Error(`Moderation log text mode must be one of: ${TEXT_MODES.join(', ')}`);
+  }
+  textMode = mode;
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ textMode }));
+}
+
+/**
+ * Gets whether comment text is logged as written or only as a hash
+ * @returns {string} - 'raw' or 'hashed'
+ */
+export function getModerationLogTextMode() {
+  return textMode;
+}
+
+/**
+ * Records a moderation decision
+ * The event is saved in the background; a storage failure is logged rather than thrown
+ * @param {Object} details - What happened
+ * @param {string} details.text - The comment text that was moderated
+ * @param {string} [details.normalizedText] - The text with disguised words spelled out, stored and hashed like the text
+ * @param {string|null} [details.postId] - Post the comment was for
+ * @param {string} [details.stage] - 'submitted' for a new comment, 'revision' for an edited suggestion,
+ *   'justified' for a flagged comment its author explained
+ * @param {string|null} [details.justification] - The author's explanation, stored like the text (not at all when hashed)
+ * @param {Object} [details.analysis] - Result from analyzeComment(), if moderation finished; its reason and suggestion
+ *   are not stored when hashed
+ * @param {boolean} [details.cached] - True if the verdict was reused from the cache instead of asking the AI
+ * @param {number} details.latencyMs - How long moderation took
+ * @param {Error} [details.error] - Why moderation failed, if it did
+ * @returns {string} - Event id, for recordUserAction()
+ */
+export function recordModerationEvent({ text, normalizedText = text, postId = null, stage = 'submitted', justification = null, analysis = null, cached = false, latencyMs, error = null }) {
+  const id = createEventId();
+  const mode = textMode;
+
+  const saved = (async () => {
+    const event = {
+      id,
+      timestamp: new Date().toISOString(),
+      postId,
+      stage,
+      textMode: mode,
+      text: mode === 'raw' ? text : null,
+      textHash: await hashText(text),
+      normalizedText: mode === 'raw' ? normalizedText : null,
+      normalizedHash: await hashText(normalizedText),
+      justification: mode === 'raw' ? justification : null,
+      language: analysis?.language ?? null,
+      provider: analysis?.provider ?? null,
+      model: analysis?.model ?? null,
+      cached,
+      latencyMs: Math.round(latencyMs),
+      rule: analysis?.rule?.id ?? null,
+      verdict: analysis ? analysis.action : 'error',
+      uncertain: analysis?.uncertain ?? false,
+      categories: analysis?.categories ?? [],
+      scores: analysis?.scores ?? null,
+      // The reason and rewrite often quote the comment, so they are left out like it
+      reason: mode === 'raw' ? analysis?.reason ?? '' : null,
+      suggestion: mode === 'raw' ? analysis?.suggestion ?? '' : null,
+      error: error ? error.message : null,
+      userActions: []
+    };
+    await saveModerationEvent(event);
+  })().catch(saveError => {
+    console.warn('⚠️ Moderation event could not be logged:', saveError.message);
+  }).finally(() => {
+    pendingSaves.delete(id);
+  });
+
+  pendingSaves.set(id, saved);
+  return id;
+}
+
+/**
+ * Records what the user did after a verdict
+ * Actions are appended to the event's userActions, each with action and at (an ISO timestamp), so a flow like
+ * warned, posted anyway, justified and held keeps every step
+ * @param {string|null} eventId - Id from recordModerationEvent(), or null to do nothing
+ * @param {string} action - One of USER_ACTIONS
+ * @returns {Promise<void>} - Resolves when the action is saved (failures are logged, not thrown)
+ */
+export async function recordUserAction(eventId, action) {
+  if (!eventId) {
+    return;
+  }
+  if (!USER_ACTIONS.includes(action)) {
+    throw new Error(`Unknown moderation user action: ${action}`);
+  }
+
+  try {
+    await pendingSaves.get(eventId);
+    const entry = { action, at: new Date().toISOString() };
+    await updateModerationEvent(eventId, (event) => ({ userActions: [...event.userActions, entry] }));
+  } catch (error) {
+    console.warn('⚠️ Moderation user action could not be logged:', error.message);
+  }
+}
+
+/**
+ * Formats a value as a CSV cell
+ * Cells that a spreadsheet would run as a formula are prefixed with an apostrophe
+ * @param {*} value - Value to format
+ * @returns {string} - Escaped CSV cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+    text = value.join('|');
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports the moderation log
+ * @param {string} format - 'jsonl' (one JSON object per line) or 'csv'
+ * @returns {Promise<string>} - Exported log, oldest event first
+ */
+export async function exportModerationLog(format) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unsupported export format: ${format}. Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const events = await loadModerationEvents();
+  if (format === 'jsonl') {
+    return events.map(event => JSON.stringify(event)).join('\n') + (events.length > 0 ? '\n' : '');
+  }
+
+  const rows = events.map(event => CSV_COLUMNS.map(column => toCsvCell(event[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Exports the moderation log and downloads it as a file
+ * @param {string} format - 'jsonl' or 'csv'
+ * @returns {Promise<void>} - Resolves when the download has started
+ */
+export async function downloadModerationLog(format) {
+  const content = await exportModerationLog(format);
+  const { mimeType, extension } = EXPORT_FORMATS[format];
+
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `moderation-log-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Loads the saved log settings and fills the settings form if it exists on the page
+ */
+export function loadModerationLogSettings() {
+  const saved = localStorage.getItem(SETTINGS_STORAGE_KEY);
+  if (saved) {
+    try {
+      const parsed = JSON.parse(saved);
+      if (TEXT_MODES.includes(parsed.textMode)) {
+        textMode = parsed.textMode;
+      }
+    } catch (error) {
+      console.warn('⚠️ Ignoring invalid moderation log settings:', error.message);
+    }
+  }
+
+  const textModeSelect = document.getElementById('moderationLogTextMode');
+  if (textModeSelect) {
+    textModeSelect.value = textMode;
+  }
+}
+
+/**
+ * Sets up event listeners for the moderation log settings and export buttons
+ * This function should be called during app initialization
+ */
+export function setupModerationLogEventListeners() {
+  const textModeSelect = document.getElementById('moderationLogTextMode');
+  const exportJsonlButton = document.getElementById('btnExportModerationJsonl');
+  const exportCsvButton = document.getElementById('btnExportModerationCsv');
+  const clearButton = document.getElementById('btnClearModerationLog');
+
+  if (textModeSelect) {
+    textModeSelect.addEventListener('change', () => {
+      setModerationLogTextMode(textModeSelect.value);
+      showStatusNotification('success', textModeSelect.value === 'hashed'
+        ? '🔒 New log entries will store a hash instead of the comment text'
+        : '📋 New log entries will store the comment text');
+    });
+  }
+
+  const exportAs = (format) => {
+    downloadModerationLog(format).catch(error => {
+      console.error('Moderation log export failed:', error);
+      showStatusNotification('failure', `❌ Could not export the moderation log: ${error.message}`, 4000);
+    });
+  };
+  if (exportJsonlButton) {
+    exportJsonlButton.addEventListener('click', () => exportAs('jsonl'));
+  }
+  if (exportCsvButton) {
+    exportCsvButton.addEventListener('click', () => exportAs('csv'));
+  }
+
+  if (clearButton) {
+    clearButton.addEventListener('click', () => {
+      clearModerationEvents()
+        .then(() => showStatusNotification('success', '🗑️ Moderation log cleared'))
+        .catch(error => showStatusNotification('failure', `❌ Could not clear the moderation log: ${error.message}`, 4000));
+    });
+  }
+}
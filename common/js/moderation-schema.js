@@ -0,0 +1,116 @@
+/**
+ * Moderation Result Schema
+ * One shared schema for comment moderation results from every AI provider
+ * Providers pass it to the model as a response constraint, then validate what comes back
+ * The categories come from the moderation policy, so the schema changes with it
+ */
+
+import { getModerationCategories } from './moderation-policy.js';
+
+/**
+ * Builds the JSON Schema for a moderation result: a score for each policy category,
+ * plus a reason and a rewrite for comments that cross a threshold
+ * Used as Gemini's responseSchema, the Prompt API's responseConstraint and OpenAI's json_schema
+ * @param {string[]} [categories] - Category ids to score (defaults to the current moderation policy)
+ * @returns {Object} - JSON Schema object
+ */
+export function getModerationResponseSchema(categories = getModerationCategories()) {
+  return {
+    type: 'object',
+    properties: {
+      scores: {
+        type: 'object',
+        description: 'How strongly the comment fits each category, from 0 (not at all) to 1 (clearly)',
+        properties: Object.fromEntries(categories.map(category => [category, { type: 'number' }])),
+        required: [...categories],
+        additionalProperties: false
+      },
+      reason: {
+        type: 'string',
+        description: 'Brief reason if any category reaches its threshold, otherwise an empty string'
+      },
+      suggestion: {
+        type: 'string',
+        description: 'Respectful, constructive rewrite of the comment if any category reaches its threshold, otherwise an empty string'
+      }
+    },
+    required: ['scores', 'reason', 'suggestion'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Error thrown when an AI response doesn't match the moderation schema
+ */
+export class ModerationValidationError extends Error {
+  /**
+   * @param {string[]} issues - Descriptions of each schema violation
+   * @param {*} received - The value that failed validation
+   */
+  constructor(issues, received) {
+    super(`AI returned an invalid moderation result: ${issues.join('; ')}`);
+    this.name = 'ModerationValidationError';
+    this.issues = issues;
+    this.received = received;
+  }
+}
+
+/**
+ * Validates a moderation result against the shared schema
+ * @param {*} result - Parsed moderation result from a provider
+ * @param {string[]} [categories] - Category ids that must be scored (defaults to the current moderation policy)
+ * @returns {Object} - Normalized result with scores, reason and suggestion
+ * @throws {ModerationValidationError} - If the result doesn't match the schema
+ */
+export function validateModerationResult(result, categories = getModerationCategories()) {
+  const issues = [];
+
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    throw new ModerationValidationError(['result must be an object'], result);
+  }
+
+  if (!result.scores || typeof result.scores !== 'object' || Array.isArray(result.scores)) {
+    issues.push('scores must be an object');
+  } else {
+    for (const category of categories) {
+      const score = result.scores[category];
+      if (typeof score !== 'number' || !Number.isFinite(score)) {
+        issues.push(`scores.${category} must be a number`);
+      }
+    }
+  }
+  if (typeof result.reason !== 'string') {
+    issues.push('reason must be a string');
+  }
+  if (typeof result.suggestion !== 'string') {
+    issues.push('suggestion must be a string');
+  }
+
+  if (issues.length > 0) {
+    throw new ModerationValidationError(issues, result);
+  }
+
+  return {
+    // Models occasionally stray outside 0-1, so clamp rather than reject
+    scores: Object.fromEntries(categories.map(category => [category, Math.min(1, Math.max(0, result.scores[category]))])),
+    reason: result.reason.trim(),
+    suggestion: result.suggestion.trim()
+  };
+}
+
+/**
+ * Parses and validates a schema-constrained moderation response
+ * @param {string} responseText - Raw JSON text returned by the model
+ * @param {string[]} [categories] - Category ids that must be scored (defaults to the current moderation policy)
+ * @returns {Object} - Validated moderation result
+ * @throws {ModerationValidationError} - If the text isn't valid JSON or doesn't match the schema
+ */
+export function parseModerationResponse(responseText, categories = getModerationCategories()) {
+  let parsed;
+  try {
+    parsed = JSON.parse(responseText);
+  } catch (parseError) {
+    throw new ModerationValidationError([`response is not valid JSON (${parseError.message})`], responseText);
+  }
+  return validateModerationResult(parsed, categories);
+}
@@ -0,0 +1,286 @@
+/**
+ * OpenAI-compatible AI Provider
+ * Inference on a self-hosted server exposing /v1/chat/completions (Ollama, llama.cpp, vLLM, ...)
+ * Implements the shared provider interface from ai-providers.js
+ */
+
+import { createApiError } from './ui-helpers.js';
+import { readServerSentEvents } from './stream-helpers.js';
+import { getSelfHostedConfig, isSelfHostedConfigured } from './self-hosted-config.js';
+import { getModerationResponseSchema, parseModerationResponse } from './moderation-schema.js';
+import { ALT_TEXT_RESPONSE_SCHEMA, parseAltTextResponse } from './alt-text-schema.js';
+import { LANGUAGE_DETECTION_SCHEMA, parseLanguageDetectionResponse } from './language-detection.js';
+import { buildAltTextPrompt, buildModerationPrompt, buildRewritePrompt, buildLanguageDetectionPrompt } from './prompts.js';
+
+// Constants
+const ALT_TEXT_MAX_OUTPUT_TOKENS = 4000;
+const ALT_TEXT_TEMPERATURE = 0.4;
+const MODERATION_MAX_OUTPUT_TOKENS = 3000;
+const MODERATION_TEMPERATURE = 0.3;
+const LANGUAGE_DETECTION_MAX_OUTPUT_TOKENS = 200;
+
+/**
+ * Builds the chat completions endpoint URL from a base URL
+ * Accepts both "http://host:port" and "http://host:port/v1"
+ * @param {string} baseUrl - Base URL of the server
+ * @returns {string} - Full chat completions URL
+ */
+function getChatCompletionsUrl(baseUrl) {
+  const trimmed = baseUrl.replace(/\/+$/, '');
+  return trimmed.endsWith('/v1') ? `${trimmed}/chat/completions` : `${trimmed}/v1/chat/completions`;
+}
+
+/**
+ * Sends a chat completion request and returns the response text
+ * @param {Object} options - Request options
+ * @param {Array} options.messages - Chat messages to send
+ * @param {number} options.maxTokens - Maximum tokens to generate
+ * @param {number} options.temperature - Sampling temperature
+ * @param {Object} [options.responseFormat] - Optional OpenAI response_format (e.g. a json_schema)
+ * @param {Function} [options.onText] - Optional callback to stream the response; called with the full text so far
+ * @param {AbortSignal} [options.signal] - Optional abort signal for cancellation
+ * @param {string} [options.context] - Context of the API call for error reporting
+ * @returns {Promise<string>} - Response text
+ */
+async function requestChatCompletion({ messages, maxTokens, temperature, responseFormat = null, onText = null, signal = null, context = 'API call' }) {
+  const { baseUrl, model, apiKey } = getSelfHostedConfig();
+  if (!baseUrl) {
+    throw new Error('❌ Please configure your self-hosted AI server first');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(getChatCompletionsUrl(baseUrl), {
+    method: 'POST',
+    headers,
+    signal,
+    body: JSON.stringify({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(responseFormat && { response_format: responseFormat }),
+      ...(onText && { stream: true })
+    })
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error?.message || createApiError(response, `${context} API`));
+  }
+
+  if (onText) {
+    let text = '';
+    await readServerSentEvents(response, (data) => {
+      // The stream ends with a literal [DONE] marker
+      if (data === '[DONE]') return;
+
+      const chunk = JSON.parse(data);
+      if (chunk.error) {
+        throw new Error(chunk.error.message || `${context} stream failed`);
+      }
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onText(text);
+      }
+    });
+
+    if (!text.trim()) {
+      throw new Error(`No response text found in ${context} response. The server may be experiencing issues.`);
+    }
+    return text;
+  }
+
+  const data = await response.json();
+  const responseText = data.choices?.[0]?.message?.content;
+  if (typeof responseText !== 'string' || !responseText.trim()) {
+    console.error(`No response text found in ${context} response:`, data);
+    throw new Error(`No response text found in ${context} response. The server may be experiencing issues.`);
+  }
+
+  return responseText;
+}
+
+/**
+ * Turns a prompt from prompts.js into chat messages, keeping the untrusted text out of the system message
+ * @param {Object} prompt - Prompt with system and user text
+ * @returns {Array} - Chat messages
+ */
+function toChatMessages({ system, user }) {
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: user }
+  ];
+}
+
+/**
+ * Builds the chat completion options for describing an image
+ * @param {HTMLImageElement} imgElement - DOM img element containing the image
+ * @param {AbortController} controller - Abort controller for cancellation
+ * @param {string} [imageContext] - Text found in the image file to add to the prompt
+ * @param {string} [language] - Language to write the result in
+ * @returns {Object} - Options for requestChatCompletion
+ */
+function buildAltTextRequest(imgElement, controller, imageContext = null, language = 'en') {
+  const imageData = imgElement.src;
+  if (typeof imageData !== 'string' || !imageData.startsWith('data:image/')) {
+    throw new Error('Valid image data URL is required');
+  }
+
+  const prompt = buildAltTextPrompt(imageContext, language);
+  return {
+    messages: [
+      { role: 'system', content: prompt.system },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt.user },
+          { type: 'image_url', image_url: { url: imageData } }
+        ]
+      }
+    ],
+    maxTokens: ALT_TEXT_MAX_OUTPUT_TOKENS,
+    temperature: ALT_TEXT_TEMPERATURE,
+    responseFormat: {
+      type: 'json_schema',
+      json_schema: { name: 'image_description', strict: true, schema: ALT_TEXT_RESPONSE_SCHEMA }
+    },
+    signal: controller.signal,
+    context: 'Image analysis'
+  };
+}
+
+/**
+ * Creates an OpenAI-compatible provider for the AI provider registry
+ * Connection settings are read from self-hosted-config.js on every request
+ * @returns {Object} - Provider implementing the shared provider interface
+ */
+export function createOpenAICompatibleProvider() {
+  return {
+    name: 'self-hosted',
+    label: 'Self-hosted AI',
+
+    /**
+     * Current model name from the saved configuration
+     * @returns {string}
+     */
+    get model() {
+      return getSelfHostedConfig().model;
+    },
+
+    /**
+     * The self-hosted server can be used once a base URL is configured
+     * @returns {Promise<boolean>}
+     */
+    async isAvailable() {
+      return isSelfHostedConfigured();
+    },
+
+    /**
+     * Sends the image as a base64 content part for alt text, a long description and a caption
+     * @param {HTMLImageElement} imgElement - DOM img element containing the image
+     * @param {AbortController} controller - Abort controller for cancellation
+     * @param {Object} [options] - Options
+     * @param {string} [options.context] - Text found in the image file to add to the prompt
+     * @param {string} [options.language] - Language to write the result in
+     * @returns {Promise<Object>} - Result with alt, longDescription and caption
+     * @throws {AltTextValidationError} - If the response doesn't match the alt text schema
+     */
+    async describeImage(imgElement, controller, { context = null, language = 'en' } = {}) {
+      const responseText = await requestChatCompletion(buildAltTextRequest(imgElement, controller, context, language));
+      return parseAltTextResponse(responseText);
+    },
+
+    /**
+     * Streams alt text for the image from the self-hosted model as it is generated
+     * @param {HTMLImageElement} imgElement - DOM img element containing the image
+     * @param {Function} onText - Called with the response text generated so far
+     * @param {AbortController} controller - Abort controller for cancellation
+     * @param {Object} [options] - Options
+     * @param {string} [options.context] - Text found in the image file to add to the prompt
+     * @param {string} [options.language] - Language to write the result in
+     * @returns {Promise<Object>} - Result with alt, longDescription and caption
+     * @throws {AltTextValidationError} - If the response doesn't match the alt text schema
+     */
+    async streamDescribeImage(imgElement, onText, controller, { context = null, language = 'en' } = {}) {
+      const responseText = await requestChatCompletion({ ...buildAltTextRequest(imgElement, controller, context, language), onText });
+      return parseAltTextResponse(responseText);
+    },
+
+    /**
+     * Sends a comment as a chat message for toxicity and tone analysis
+     * @param {string} comment - The comment text to analyze
+     * @param {string} imageDescription - Optional description of the image being commented on
+     * @param {AbortController} [controller] - Optional abort controller for cancellation
+     * @param {Object} [options] - Options
+     * @param {string} [options.language] - Language the comment is written in
+     * @param {string} [options.justification] - The author's explanation of why the comment should be posted as written
+     * @param {string} [options.normalizedComment] - The comment with disguised words spelled out, if that changed it
+     * @returns {Promise<Object>} - Analysis result with a score per moderation category, reason and suggestion
+     * @throws {ModerationValidationError} - If the response doesn't match the moderation schema
+     */
+    async classifyText(comment, imageDescription = null, controller = null, { language = null, justification = null, normalizedComment = null } = {}) {
+      const responseText = await requestChatCompletion({
+        messages: toChatMessages(buildModerationPrompt(comment, imageDescription, language, { justification, normalizedComment })),
+        maxTokens: MODERATION_MAX_OUTPUT_TOKENS,
+        temperature: MODERATION_TEMPERATURE,
+        responseFormat: {
+          type: 'json_schema',
+          json_schema: { name: 'moderation_result', strict: true, schema: getModerationResponseSchema() }
+        },
+        signal: controller?.signal,
+        context: 'Comment analysis'
+      });
+
+      return parseModerationResponse(responseText);
+    },
+
+    /**
+     * Asks the self-hosted model to rewrite text following the given instructions
+     * @param {string} text - The text to rewrite
+     * @param {string} [instructions] - Optional rewrite instructions
+     * @param {AbortController} [controller] - Optional abort controller for cancellation
+     * @param {Object} [options] - Options
+     * @param {string} [options.language] - Language to write the rewrite in
+     * @returns {Promise<string>} - Rewritten text
+     */
+    async rewriteText(text, instructions = undefined, controller = null, { language = null } = {}) {
+      const rewritten = await requestChatCompletion({
+        messages: toChatMessages(buildRewritePrompt(text, instructions, language)),
+        maxTokens: MODERATION_MAX_OUTPUT_TOKENS,
+        temperature: MODERATION_TEMPERATURE,
+        signal: controller?.signal,
+        context: 'Text rewriting'
+      });
+
+      return rewritten.replace(/^["']|["']$/g, '').trim();
+    },
+
+    /**
+     * Asks the self-hosted model which language a piece of text is written in
+     * Used when the browser's built-in LanguageDetector is unavailable or unsure
+     * @param {string} text - The text to check
+     * @param {AbortController} [controller] - Optional abort controller for cancellation
+     * @returns {Promise<Object>} - Result with language and confidence
+     */
+    async detectLanguage(text, controller = null) {
+      const responseText = await requestChatCompletion({
+        messages: toChatMessages(buildLanguageDetectionPrompt(text)),
+        maxTokens: LANGUAGE_DETECTION_MAX_OUTPUT_TOKENS,
+        temperature: 0,
+        responseFormat: {
+          type: 'json_schema',
+          json_schema: { name: 'language_detection', strict: true, schema: LANGUAGE_DETECTION_SCHEMA }
+        },
+        signal: controller?.signal,
+        context: 'Language detection'
+      });
+
+      return parseLanguageDetectionResponse(responseText);
+    }
+  };
+}
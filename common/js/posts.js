@@ -0,0 +1,255 @@
+/**
+ * Posts Module
+ * Keeps the feed of posted images and each post's comment thread
+ * Every post holds its own image, alt text (in one or more languages), timestamp and comments
+ * Posts and comments are saved to IndexedDB (storage.js) as they are created
+ * Comments held for human review stay pending until a moderator approves, edits or rejects them
+ */
+
+import { savePostRecord, saveCommentRecord, loadPostRecords } from './storage.js';
+
+// Posts by id, in the order they were created
+const posts = new Map();
+
+// Post the comment form is currently attached to
+let activePostId = null;
+
+const REVIEW_DECISIONS = ['approved', 'edited', 'rejected'];
+
+/**
+ * Creates a unique id for a post or comment
+ * @returns {string} - Unique id
+ */
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Saves a post in the background, logging instead of throwing if storage fails
+ * @param {Object} post - Post to save
+ */
+async function persistPost(post) {
+  try {
+    // Store the image as a Blob instead of a (much larger) data URL string
+    const image = await (await fetch(post.imageData)).blob();
+    await savePostRecord({
+      id: post.id,
+      image,
+      altText: post.altText,
+      longDescription: post.longDescription,
+      caption: post.caption,
+      language: post.language,
+      translations: post.translations,
+      timestamp: post.timestamp
+    });
+  } catch (error) {
+    console.warn('⚠️ Post could not be saved and will be lost on reload:', error.message);
+  }
+}
+
+/**
+ * Saves a comment in the background, logging instead of throwing if storage fails
+ * @param {Object} comment - Comment to save
+ */
+async function persistComment(comment) {
+  try {
+    await saveCommentRecord(comment);
+  } catch (error) {
+    console.warn('⚠️ Comment could not be saved and will be lost on reload:', error.message);
+  }
+}
+
+/**
+ * Creates a new post and adds it to the feed
+ * The post is saved to storage in the background
+ * @param {Object} data - Post data
+ * @param {string} data.imageData - Image source (data URL or object URL)
+ * @param {string} data.altText - Final alt text for the image
+ * @param {string} [data.longDescription] - Long description for complex images such as charts
+ * @param {string} [data.caption] - Visible caption shown under the image
+ * @param {string} [data.language] - Language of the alt text, long description and caption
+ * @param {Object[]} [data.translations] - The same in other languages, each with language, alt,
+ *   longDescription and caption
+ * @returns {Object} - The new post
+ */
+export function createPost({ imageData, altText, longDescription = '', caption = '', language = '', translations = [] }) {
+  if (typeof imageData !== 'string' || !imageData) {
+    throw new Error('Post image data is required');
+  }
+  if (typeof altText !== 'string' || !altText.trim()) {
+    throw new Error('Post alt text is required');
+  }
+
+  const post = {
+    id: createId(),
+    imageData,
+    altText: altText.trim(),
+    longDescription: longDescription.trim(),
+    caption: caption.trim(),
+    language,
+    translations: translations
+      .filter(translation => translation.alt.trim())
+      .map(translation => ({
+        language: translation.language,
+        alt: translation.alt.trim(),
+        longDescription: translation.longDescription.trim(),
+        caption: translation.caption.trim()
+      })),
+    timestamp: new Date().toISOString(),
+    comments: []
+  };
+  posts.set(post.id, post);
+  persistPost(post);
+  return post;
+}
+
+/**
+ * Gets a post by id
+ * @param {string} postId - Post id
+ * @returns {Object|null} - The post or null if not found
+ */
+export function getPost(postId) {
+  return posts.get(postId) || null;
+}
+
+/**
+ * Gets all posts, newest first
+ * @returns {Object[]} - Posts in feed order
+ */
+export function getPosts() {
+  return [...posts.values()].reverse();
+}
+
+/**
+ * Adds a comment to a post's thread
+ * The comment is saved to storage in the background
+ * @param {string} postId - Post id
+ * @param {string} text - Comment text
+ * @param {Object} [moderation] - Moderation outcome that let the comment through
+ * @param {string} moderation.outcome - 'allowed' if posted as written, 'revised' if posted after revising a flagged comment,
+ *   'warned' if posted as written after a warning, 'justified' if posted after its author explained a flagged comment,
+ *   'held' if sent to the review queue
+ * @param {string[]} [moderation.categories] - Categories the original comment was flagged for
+ * @param {Object} [moderation.scores] - Score for each moderation policy category
+ * @param {string} [moderation.reason] - Why the original comment was flagged
+ * @param {string|null} [moderation.language] - Language the comment was detected as, or null if unknown
+ * @param {string} [moderation.justification] - The author's explanation, if they asked to post a flagged comment anyway
+ * @param {string} [moderation.heldBecause] - For held comments: 'uncertain' if the verdict was too close to call,
+ *   'requested' if the author asked to post it anyway and it still failed
+ * @param {Object} [options] - Options
+ * @param {string} [options.status] - 'published', or 'pending' to hold the comment for review
+ * @returns {Object} - The new comment
+ */
+export function addCommentToPost(postId, text, moderation = null, { status = 'published' } = {}) {
+  const post = posts.get(postId);
+  if (!post) {
+    throw new Error(`Post not found: ${postId}`);
+  }
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Comment text is required');
+  }
+
+  const comment = {
+    id: createId(),
+    postId,
+    text: text.trim(),
+    timestamp: new Date().toISOString(),
+    moderation,
+    status,
+    review: null
+  };
+  post.comments.push(comment);
+  persistComment(comment);
+  return comment;
+}
+
+/**
+ * Gets every comment waiting for review, oldest first
+ * @returns {Object[]} - Entries with the held comment and the post it belongs to
+ */
+export function getHeldComments() {
+  return [...posts.values()]
+    .flatMap(post => post.comments
+      .filter(comment => comment.status === 'pending')
+      .map(comment => ({ post, comment })))
+    .sort((a, b) => a.comment.timestamp.localeCompare(b.comment.timestamp));
+}
+
+/**
+ * Records a moderator's decision on a held comment
+ * The comment is saved to storage in the background
+ * @param {string} commentId - Id of the held comment
+ * @param {string} decision - 'approved', 'edited' (approved with new text) or 'rejected'
+ * @param {string} [text] - New comment text, required when the decision is 'edited'
+ * @returns {Object} - Entry with the updated comment and the post it belongs to
+ */
+export function reviewComment(commentId, decision, text = null) {
+  if (!REVIEW_DECISIONS.includes(decision)) {
+    throw new Error(`Review decision must be one of: ${REVIEW_DECISIONS.join(', ')}`);
+  }
+  if (decision === 'edited' && (typeof text !== 'string' || !text.trim())) {
+    throw new Error('Edited comment text is required');
+  }
+
+  const entry = getHeldComments().find(({ comment }) => comment.id === commentId);
+  if (!entry) {
+    throw new Error(`No comment waiting for review: ${commentId}`);
+  }
+
+  const { comment } = entry;
+  comment.review = {
+    decision,
+    reviewedAt: new Date().toISOString(),
+    ...(decision === 'edited' && { originalText: comment.text })
+  };
+  if (decision === 'edited') {
+    comment.text = text.trim();
+  }
+  comment.status = decision === 'rejected' ? 'rejected' : 'published';
+  persistComment(comment);
+  return entry;
+}
+
+/**
+ * Restores saved posts and comments from storage
+ * Saved image Blobs are shown through object URLs
+ * @returns {Promise<Object[]>} - Restored posts, oldest first
+ */
+export async function restorePosts() {
+  const records = await loadPostRecords();
+
+  return records.map(record => {
+    const post = {
+      id: record.id,
+      imageData: URL.createObjectURL(record.image),
+      altText: record.altText,
+      longDescription: record.longDescription,
+      caption: record.caption,
+      language: record.language,
+      translations: record.translations,
+      timestamp: record.timestamp,
+      comments: record.comments
+    };
+    posts.set(post.id, post);
+    return post;
+  });
+}
+
+/**
+ * Sets the post the comment form is attached to
+ * @param {string|null} postId - Post id, or null for none
+ */
+export function setActivePost(postId) {
+  if (postId !== null && !posts.has(postId)) {
+    throw new Error(`Post not found: ${postId}`);
+  }
+  activePostId = postId;
+}
+
+/**
+ * Gets the post the comment form is attached to
+ * @returns {Object|null} - The active post or null if none
+ */
+export function getActivePost() {
+  return activePostId ? posts.get(activePostId) || null : null;
+}
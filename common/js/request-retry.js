@@ -0,0 +1,196 @@
+/**
+ * Request Retry Layer
+ * Sends API requests with a timeout, and retries the ones that failed for a reason that may pass:
+ * rate limits (429), server errors (500, 502, 503, 504), timeouts and dropped connections
+ *
+ * - Retries wait with exponential backoff and jitter, so many clients don't all retry at the same moment
+ * - A delay the server asks for (Retry-After, or RetryInfo in Google error details) is used instead of the backoff.
+ *   If it is longer than MAX_SERVER_DELAY_MS, such as a daily quota, the request fails straight away rather than wait
+ * - Fatal errors, such as an invalid API key, fail straight away and are marked retryable: false
+ * - Each attempt has its own timeout built on AbortSignal.timeout(); cancelling the caller's signal stops
+ *   both the request and any wait
+ *
+ * Only getting a successful response is retried. A stream that fails partway through is not, because its text
+ * has already been shown.
+ */
+
+// Constants
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_TIMEOUT_MS = 60000;
+const BASE_DELAY_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+const MAX_SERVER_DELAY_MS = 60000;
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Error thrown when an API request fails
+ */
+export class ApiRequestError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} [details] - More about the failure
+   * @param {number|null} [details.status] - HTTP status, or null if there was no response
+   * @param {boolean} [details.retryable] - True if trying again later may work
+   * @param {number|null} [details.retryDelayMs] - How long the server asked to wait before trying again
+   */
+  constructor(message, { status = null, retryable = false, retryDelayMs = null } = {}) {
+    super(message);
+    this.name = 'ApiRequestError';
+    this.status = status;
+    this.retryable = retryable;
+    this.retryDelayMs = retryDelayMs;
+  }
+}
+
+/**
+ * Works out how long to wait before the next attempt
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @param {number|null} serverDelayMs - Delay the server asked for, if any
+ * @returns {number} - Delay in milliseconds
+ */
+export function getRetryDelay(attempt, serverDelayMs = null) {
+  if (serverDelayMs !== null) {
+    return serverDelayMs;
+  }
+
+  // Half the backoff plus a random part of the other half keeps retries spread out but never too quick
+  const backoff = Math.min(MAX_BACKOFF_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Reads a Retry-After header, given either in seconds or as an HTTP date
+ * @param {Response} response - Fetch response
+ * @returns {number|null} - Delay in milliseconds, or null if there is none or it can't be read
+ */
+function readRetryAfter(response) {
+  const value = response.headers?.get('Retry-After')?.trim();
+  if (!value) {
+    // Number(null) and Number('') are 0, which would skip the backoff
+    return null;
+  }
+
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return Math.ceil(Number(value) * 1000);
+  }
+
+  const retryAt = Date.parse(value);
+  return Number.isNaN(retryAt) ? null : Math.max(0, retryAt - Date.now());
+}
+
+/**
+ * Turns a failed response into an ApiRequestError
+ * @param {Response} response - Fetch response that isn't ok
+ * @param {string} context - Context of the API call for error reporting
+ * @param {Function|null} parseError - Reads an API's own error format (see fetchWithRetry())
+ * @returns {Promise<ApiRequestError>} - The error
+ */
+async function createResponseError(response, context, parseError) {
+  const parsed = parseError ? await parseError(response).catch(() => ({})) : {};
+  const retryDelayMs = parsed.retryDelayMs ?? readRetryAfter(response);
+  const retryable = parsed.retryable ?? RETRYABLE_STATUSES.includes(response.status);
+  let message = parsed.message || `${context} failed (${response.status}): ${response.statusText}`;
+
+  if (retryable && retryDelayMs !== null && retryDelayMs > MAX_SERVER_DELAY_MS) {
+    // Too long to wait for now, but worth trying again by hand later
+    message = `${message} Try again in ${Math.ceil(retryDelayMs / 1000)}s.`;
+  }
+
+  return new ApiRequestError(message, { status: response.status, retryable, retryDelayMs });
+}
+
+/**
+ * Waits before the next attempt, unless the signal is aborted first
+ * @param {number} delayMs - How long to wait
+ * @param {AbortSignal|null} signal - Caller's abort signal
+ * @returns {Promise<void>} - Resolves after the delay; rejects with the signal's reason if it is aborted
+ */
+function waitForRetry(delayMs, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delayMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Sends one attempt of a request
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch() options, without signal
+ * @param {Object} options - Options from fetchWithRetry()
+ * @returns {Promise<Response>} - Successful response
+ * @throws {ApiRequestError} - If the request failed, timed out or couldn't connect
+ */
+async function attemptRequest(url, init, { signal, timeoutMs, context, parseError }) {
+  const timeoutSignal = AbortSignal.timeout(timeoutMs);
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal });
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    if (timeoutSignal.aborted) {
+      throw new ApiRequestError(`${context} timed out after ${Math.round(timeoutMs / 1000)}s`, { retryable: true });
+    }
+    // fetch() only rejects on its own for network failures
+    throw new ApiRequestError(`${context} could not connect: ${error.message}`, { retryable: true });
+  }
+
+  if (!response.ok) {
+    throw await createResponseError(response, context, parseError);
+  }
+  return response;
+}
+
+/**
+ * Sends a request, retrying failures that may pass
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch() options such as method, headers and body; the signal goes in options
+ * @param {Object} [options] - Retry options
+ * @param {AbortSignal} [options.signal] - Cancels the request and any wait between attempts
+ * @param {string} [options.context] - Context of the API call for error reporting
+ * @param {number} [options.maxAttempts] - Most attempts to make, the first included
+ * @param {number} [options.timeoutMs] - How long each attempt may take
+ * @param {Function} [options.parseError] - Reads a failed response's body; resolves to an object with any of
+ *   message, retryable and retryDelayMs, to use instead of the defaults for its status
+ * @param {Function} [options.onRetry] - Called before each wait with attempt (the one that failed), maxAttempts,
+ *   delayMs and error
+ * @returns {Promise<Response>} - Successful response
+ * @throws {ApiRequestError} - Once a fatal error happens or the attempts run out
+ */
+export async function fetchWithRetry(url, init, {
+  signal = null,
+  context = 'API call',
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  parseError = null,
+  onRetry = null
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await attemptRequest(url, init, { signal, timeoutMs, context, parseError });
+    } catch (error) {
+      const serverDelayTooLong = error.retryDelayMs !== null && error.retryDelayMs > MAX_SERVER_DELAY_MS;
+      if (!(error instanceof ApiRequestError) || !error.retryable || serverDelayTooLong || attempt >= maxAttempts) {
+        throw error;
+      }
+
+      const delayMs = getRetryDelay(attempt, error.retryDelayMs);
+      console.warn(`⏳ ${context} failed (attempt ${attempt} of ${maxAttempts}), retrying in ${Math.ceil(delayMs / 1000)}s:`, error.message);
+      onRetry?.({ attempt, maxAttempts, delayMs, error });
+      await waitForRetry(delayMs, signal);
+    }
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * Review Queue Module
+ * Lists comments held for human review and lets a moderator approve, edit or reject each one
+ * Comments are held when the moderation verdict is too close to call or still fails after its author explained it;
+ * until then they show in the thread as pending
+ */
+
+import { getElement, showElement, hideElement, showStatusNotification, registerEventHandler, handleError } from './ui-helpers.js';
+import { getHeldComments, reviewComment } from './posts.js';
+import { updateRenderedComment } from './feed.js';
+
+// Constants
+const HELD_BECAUSE_LABELS = {
+  uncertain: 'Verdict too close to call',
+  requested: 'Author asked to post it anyway'
+};
+
+/**
+ * Gets the queue entry for a held comment
+ * @param {string} commentId - Comment id
+ * @returns {Element|null} - The entry's list item, or null if it isn't shown
+ */
+function getQueueEntryElement(commentId) {
+  return document.querySelector(`#reviewQueueList [data-comment-id="${commentId}"]`);
+}
+
+/**
+ * Creates an action button for a queue entry
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @param {string} [className] - Button class
+ * @returns {HTMLButtonElement} - The button
+ */
+function createActionButton(label, onClick, className = 'btn_suggestion') {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Renders one held comment with the post it belongs to and the moderator actions
+ * @param {Object} entry - Entry from getHeldComments()
+ * @returns {Element} - The list item
+ */
+function renderQueueEntry({ post, comment }) {
+  const moderation = comment.moderation || {};
+
+  const item = document.createElement('li');
+  item.className = 'review-queue-item';
+  item.dataset.commentId = comment.id;
+
+  const thumbnail = document.createElement('img');
+  thumbnail.className = 'upload-queue-thumbnail';
+  thumbnail.src = post.imageData;
+  thumbnail.alt = post.altText;
+
+  const details = document.createElement('div');
+  details.className = 'review-queue-details';
+
+  const text = document.createElement('p');
+  text.className = 'review-queue-text';
+  text.textContent = comment.text;
+  if (moderation.language) {
+    text.lang = moderation.language;
+  }
+
+  const editor = document.createElement('textarea');
+  editor.className = 'review-queue-editor';
+  editor.setAttribute('aria-label', 'Edit comment');
+  editor.value = comment.text;
+  if (moderation.language) {
+    editor.lang = moderation.language;
+  }
+  hideElement(editor);
+
+  const why = document.createElement('p');
+  why.className = 'review-queue-reason';
+  const heldBecause = HELD_BECAUSE_LABELS[moderation.heldBecause] || 'Held for review';
+  const categories = moderation.categories?.length ? ` · ${moderation.categories.join(', ')}` : '';
+  why.textContent = `${heldBecause}${categories}`;
+
+  details.appendChild(text);
+  details.appendChild(editor);
+  details.appendChild(why);
+
+  if (moderation.justification) {
+    const justification = document.createElement('p');
+    justification.className = 'review-queue-reason';
+    justification.textContent = `Author's explanation: “${moderation.justification}”`;
+    if (moderation.language) {
+      justification.lang = moderation.language;
+    }
+    details.appendChild(justification);
+  }
+
+  if (moderation.reason) {
+    const reason = document.createElement('p');
+    reason.className = 'review-queue-reason';
+    reason.textContent = moderation.reason;
+    if (moderation.language) {
+      reason.lang = moderation.language;
+    }
+    details.appendChild(reason);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'suggestion-actions';
+  actions.appendChild(createActionButton('✅ Approve', () => approveHeldComment(comment.id)));
+  actions.appendChild(createActionButton('✏️ Edit', () => editHeldComment(comment.id)));
+  actions.appendChild(createActionButton('🚫 Reject', () => rejectHeldComment(comment.id)));
+  details.appendChild(actions);
+
+  const editActions = document.createElement('div');
+  editActions.className = 'suggestion-actions review-queue-edit-actions';
+  editActions.appendChild(createActionButton('💾 Save & approve', () => saveHeldCommentEdit(comment.id), 'btn_suggestion btn_accept'));
+  editActions.appendChild(createActionButton('❌ Cancel', () => renderReviewQueue()));
+  hideElement(editActions);
+  details.appendChild(editActions);
+
+  item.appendChild(thumbnail);
+  item.appendChild(details);
+  return item;
+}
+
+/**
+ * Redraws the review queue from the held comments
+ * The section is hidden while nothing is waiting
+ */
+export function renderReviewQueue() {
+  const section = document.getElementById('reviewQueueSection');
+  const list = document.getElementById('reviewQueueList');
+  if (!section || !list) {
+    return;
+  }
+
+  const held = getHeldComments();
+  list.innerHTML = '';
+  held.forEach(entry => list.appendChild(renderQueueEntry(entry)));
+
+  getElement('reviewQueueCount').textContent = `(${held.length})`;
+  if (held.length > 0) {
+    showElement(section);
+  } else {
+    hideElement(section);
+  }
+}
+
+/**
+ * Applies a moderator's decision, then updates the thread and the queue
+ * @param {string} commentId - Id of the held comment
+ * @param {string} decision - 'approved', 'edited' or 'rejected'
+ * @param {string} [text] - New text for an edited comment
+ * @param {string} message - Notification shown when it's done
+ */
+function decide(commentId, decision, text, message) {
+  try {
+    const { post, comment } = reviewComment(commentId, decision, text);
+    updateRenderedComment(post.id, comment);
+    renderReviewQueue();
+    showStatusNotification('success', message);
+  } catch (error) {
+    const errorMsg = handleError(error, 'Reviewing comment');
+    showStatusNotification('failure', `❌ ${errorMsg}`, 4000);
+  }
+}
+
+/**
+ * Publishes a held comment as written
+ * @param {string} commentId - Id of the held comment
+ */
+export function approveHeldComment(commentId) {
+  decide(commentId, 'approved', null, '✅ Comment approved and published');
+}
+
+/**
+ * Rejects a held comment so it is never published
+ * @param {string} commentId - Id of the held comment
+ */
+export function rejectHeldComment(commentId) {
+  decide(commentId, 'rejected', null, '🚫 Comment rejected');
+}
+
+/**
+ * Shows the editor for a held comment so the moderator can fix it before approving
+ * @param {string} commentId - Id of the held comment
+ */
+export function editHeldComment(commentId) {
+  const item = getQueueEntryElement(commentId);
+  if (!item) {
+    return;
+  }
+
+  hideElement(item.querySelector('.review-queue-text'));
+  hideElement(item.querySelector('.suggestion-actions:not(.review-queue-edit-actions)'));
+  showElement(item.querySelector('.review-queue-edit-actions'), 'flex');
+
+  const editor = item.querySelector('.review-queue-editor');
+  showElement(editor);
+  editor.focus();
+}
+
+/**
+ * Publishes a held comment with the moderator's edits
+ * @param {string} commentId - Id of the held comment
+ */
+export function saveHeldCommentEdit(commentId) {
+  const item = getQueueEntryElement(commentId);
+  const text = item?.querySelector('.review-queue-editor').value.trim();
+  if (!text) {
+    showStatusNotification('failure', '❌ The edited comment can\'t be empty', 4000);
+    return;
+  }
+
+  decide(commentId, 'edited', text, '✅ Comment edited and published');
+}
+
+// Register so restoring the feed and holding a comment can refresh the queue
+registerEventHandler('renderReviewQueue', renderReviewQueue);
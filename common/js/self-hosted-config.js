@@ -0,0 +1,122 @@
+/**
+ * Self-hosted AI Configuration Module
+ * Stores connection settings for an OpenAI-compatible server (e.g. Ollama)
+ * and manages the settings form in the UI
+ */
+
+import { showStatusNotification } from './ui-helpers.js';
+
+// Constants
+const STORAGE_KEY = 'selfHostedAIConfig';
+const DEFAULT_MODEL = 'gemma3';
+
+// Current configuration
+let selfHostedConfig = { baseUrl: '', model: DEFAULT_MODEL, apiKey: '' };
+
+/**
+ * Loads the saved self-hosted configuration from localStorage
+ * Fills the settings form if it exists on the page
+ */
+export function loadSelfHostedConfig() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (saved) {
+    try {
+      selfHostedConfig = { ...selfHostedConfig, ...JSON.parse(saved) };
+    } catch (error) {
+      console.warn('⚠️ Ignoring invalid self-hosted AI configuration:', error.message);
+    }
+  }
+
+  const baseUrlInput = document.getElementById('selfHostedBaseUrl');
+  const modelInput = document.getElementById('selfHostedModel');
+  const apiKeyInput = document.getElementById('selfHostedApiKey');
+  if (baseUrlInput) baseUrlInput.value = selfHostedConfig.baseUrl;
+  if (modelInput) modelInput.value = selfHostedConfig.model;
+  if (apiKeyInput) apiKeyInput.value = selfHostedConfig.apiKey;
+}
+
+/**
+ * Validates and saves a self-hosted configuration
+ * @param {Object} [config] - Configuration to save (if not provided, read from the settings form)
+ * @param {string} config.baseUrl - Base URL of the OpenAI-compatible server
+ * @param {string} [config.model] - Model name to request
+ * @param {string} [config.apiKey] - Optional bearer token
+ * @returns {boolean} - True if the configuration was saved
+ */
+export function saveSelfHostedConfig(config = null) {
+  if (!config) {
+    config = {
+      baseUrl: document.getElementById('selfHostedBaseUrl')?.value.trim() || '',
+      model: document.getElementById('selfHostedModel')?.value.trim() || '',
+      apiKey: document.getElementById('selfHostedApiKey')?.value.trim() || ''
+    };
+  }
+
+  const baseUrl = (config.baseUrl || '').trim().replace(/\/+$/, '');
+  try {
+    const url = new URL(baseUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('Unsupported protocol');
+    }
+  } catch {
+    showStatusNotification('failure', '❌ Please enter a valid http(s) base URL', 4000);
+    return false;
+  }
+
+  selfHostedConfig = {
+    baseUrl,
+    model: (config.model || '').trim() || DEFAULT_MODEL,
+    apiKey: (config.apiKey || '').trim()
+  };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(selfHostedConfig));
+
+  showStatusNotification('success', '🖥️ Self-hosted AI settings saved!');
+  return true;
+}
+
+/**
+ * Clears the saved self-hosted configuration
+ */
+export function clearSelfHostedConfig() {
+  localStorage.removeItem(STORAGE_KEY);
+  selfHostedConfig = { baseUrl: '', model: DEFAULT_MODEL, apiKey: '' };
+  loadSelfHostedConfig();
+}
+
+/**
+ * Gets the current self-hosted configuration
+ * @returns {Object} - Configuration with baseUrl, model and apiKey
+ */
+export function getSelfHostedConfig() {
+  return { ...selfHostedConfig };
+}
+
+/**
+ * Checks if a self-hosted server is configured
+ * @returns {boolean} - True if a base URL has been saved
+ */
+export function isSelfHostedConfigured() {
+  return !!selfHostedConfig.baseUrl;
+}
+
+/**
+ * Sets up event listeners for the self-hosted settings form
+ * This function should be called during app initialization
+ */
+export function setupSelfHostedEventListeners() {
+  const saveButton = document.getElementById('btnSaveSelfHosted');
+  const clearButton = document.getElementById('btnClearSelfHosted');
+
+  // The settings form only exists on pages that offer a self-hosted provider
+  if (saveButton) {
+    saveButton.addEventListener('click', () => {
+      saveSelfHostedConfig();
+    });
+  }
+  if (clearButton) {
+    clearButton.addEventListener('click', () => {
+      clearSelfHostedConfig();
+      showStatusNotification('success', '🖥️ Self-hosted AI settings cleared');
+    });
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * Storage Module
+ * Saves posts, alt text, comments, moderation outcomes, the moderation audit log and cached AI results
+ * in IndexedDB so they survive a page reload
+ * Images are stored as Blobs rather than data URLs
+ *
+ * The schema is versioned: each entry in MIGRATIONS upgrades the database by one version,
+ * so the database version is always MIGRATIONS.length. To change the schema, append a migration;
+ * never edit one that has already shipped.
+ */
+
+// Constants
+const DB_NAME = 'aiImageFeed';
+const POSTS_STORE = 'posts';
+const COMMENTS_STORE = 'comments';
+const MODERATION_LOG_STORE = 'moderationLog';
+const AI_CACHE_STORE = 'aiCache';
+
+/**
+ * Schema migrations, oldest first
+ * Each one is called with the database and the upgrade transaction
+ */
+const MIGRATIONS = [
+  // Version 1: posts with their image Blob, alt text, long description, caption, language and translations;
+  // comments indexed by post, with their moderation outcome and review status
+  (db) => {
+    const posts = db.createObjectStore(POSTS_STORE, { keyPath: 'id' });
+    posts.createIndex('timestamp', 'timestamp');
+
+    const comments = db.createObjectStore(COMMENTS_STORE, { keyPath: 'id' });
+    comments.createIndex('postId', 'postId');
+  },
+
+  // Version 2: audit log of every moderation decision
+  (db) => {
+    const log = db.createObjectStore(MODERATION_LOG_STORE, { keyPath: 'id' });
+    log.createIndex('timestamp', 'timestamp');
+  },
+
+  // Version 3: cache of alt text and moderation results, keyed by a hash of what was sent to the AI
+  (db) => {
+    const cache = db.createObjectStore(AI_CACHE_STORE, { keyPath: 'key' });
+    cache.createIndex('storedAt', 'storedAt');
+  }
+];
+
+export const DB_VERSION = MIGRATIONS.length;
+
+// Open database connection, shared by every request
+let dbPromise = null;
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} - The request's result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Waits for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise<void>} - Resolves when the transaction completes
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Storage transaction was aborted'));
+  });
+}
+
+/**
+ * Runs every migration between the stored version and DB_VERSION
+ * @param {IDBVersionChangeEvent} event - upgradeneeded event
+ */
+function runMigrations(event) {
+  const request = event.target;
+  const db = request.result;
+
+  for (let version = event.oldVersion; version < DB_VERSION; version++) {
+    console.log(`ℹ️ Migrating storage to version ${version + 1}`);
+    MIGRATIONS[version](db, request.transaction);
+  }
+}
+
+/**
+ * Opens the database, creating or upgrading it when needed
+ * @returns {Promise<IDBDatabase>} - Open database connection
+ */
+export function openDatabase() {
+  if (!('indexedDB' in window)) {
+    return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = runMigrations;
+      request.onblocked = () => {
+        console.warn('⚠️ Storage upgrade is waiting for other tabs of this app to close');
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the app in another tab upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Saves a post's image, alt text, long description, caption, their translations and timestamp
+ * @param {Object} record - Post record
+ * @param {string} record.id - Post id
+ * @param {Blob} record.image - Image file contents
+ * @param {string} record.altText - Final alt text
+ * @param {string} record.longDescription - Long description, or an empty string
+ * @param {string} record.caption - Visible caption, or an empty string
+ * @param {string} record.language - Language tag of the alt text, description and caption
+ * @param {Object[]} record.translations - The same fields in other languages, each with its language
+ * @param {string} record.timestamp - ISO timestamp of when it was posted
+ * @returns {Promise<void>} - Resolves when the post is saved
+ */
+export async function savePostRecord({ id, image, altText, longDescription = '', caption = '', language = '', translations = [], timestamp }) {
+  if (!(image instanceof Blob)) {
+    throw new Error('Post image must be a Blob');
+  }
+
+  const db = await openDatabase();
+  const transaction = db.transaction(POSTS_STORE, 'readwrite');
+  transaction.objectStore(POSTS_STORE).put({ id, image, altText, longDescription, caption, language, translations, timestamp });
+  await transactionDone(transaction);
+}
+
+/**
+ * Saves a comment, the moderation outcome that let it through and its review status
+ * Saving a comment with an existing id replaces it
+ * @param {Object} record - Comment record
+ * @param {string} record.id - Comment id
+ * @param {string} record.postId - Id of the post it belongs to
+ * @param {string} record.text - Comment text
+ * @param {string} record.timestamp - ISO timestamp of when it was posted
+ * @param {Object|null} record.moderation - Moderation outcome
+ * @param {string} record.status - 'published', 'pending' (held for review) or 'rejected'
+ * @param {Object|null} record.review - Moderator's decision on a held comment
+ * @returns {Promise<void>} - Resolves when the comment is saved
+ */
+export async function saveCommentRecord({ id, postId, text, timestamp, moderation = null, status = 'published', review = null }) {
+  const db = await openDatabase();
+  const transaction = db.transaction(COMMENTS_STORE, 'readwrite');
+  transaction.objectStore(COMMENTS_STORE).put({ id, postId, text, timestamp, moderation, status, review });
+  await transactionDone(transaction);
+}
+
+/**
+ * Loads every saved post with its comments, oldest first
+ * @returns {Promise<Object[]>} - Post records, each with a comments array sorted oldest first
+ */
+export async function loadPostRecords() {
+  const db = await openDatabase();
+  const transaction = db.transaction([POSTS_STORE, COMMENTS_STORE], 'readonly');
+
+  const [posts, comments] = await Promise.all([
+    promisifyRequest(transaction.objectStore(POSTS_STORE).index('timestamp').getAll()),
+    promisifyRequest(transaction.objectStore(COMMENTS_STORE).getAll())
+  ]);
+
+  const commentsByPost = new Map();
+  comments
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .forEach(comment => {
+      if (!commentsByPost.has(comment.postId)) {
+        commentsByPost.set(comment.postId, []);
+      }
+      commentsByPost.get(comment.postId).push(comment);
+    });
+
+  return posts.map(post => ({ ...post, comments: commentsByPost.get(post.id) || [] }));
+}
+
+/**
+ * Saves a moderation log event
+ * @param {Object} event - Event with an id and timestamp (see moderation-log.js)
+ * @returns {Promise<void>} - Resolves when the event is saved
+ */
+export async function saveModerationEvent(event) {
+  const db = await openDatabase();
+  const transaction = db.transaction(MODERATION_LOG_STORE, 'readwrite');
+  transaction.objectStore(MODERATION_LOG_STORE).put(event);
+  await transactionDone(transaction);
+}
+
+/**
+ * Changes fields of a saved moderation log event
+ * @param {string} id - Event id
+ * @param {Object|Function} changes - Fields to set, or a function that gets the saved event and returns them;
+ *   it runs in the same transaction, so changes based on the saved event never overwrite each other
+ * @returns {Promise<void>} - Resolves when the event is updated
+ * @throws {Error} - If there is no event with that id
+ */
+export async function updateModerationEvent(id, changes) {
+  const db = await openDatabase();
+  const transaction = db.transaction(MODERATION_LOG_STORE, 'readwrite');
+  const store = transaction.objectStore(MODERATION_LOG_STORE);
+
+  const event = await promisifyRequest(store.get(id));
+  if (!event) {
+    transaction.abort();
+    throw new Error(`Moderation event not found: ${id}`);
+  }
+  store.put({ ...event, ...(typeof changes === 'function' ? changes(event) : changes) });
+  await transactionDone(transaction);
+}
+
+/**
+ * Loads every moderation log event, oldest first
+ * @returns {Promise<Object[]>} - Events
+ */
+export async function loadModerationEvents() {
+  const db = await openDatabase();
+  const transaction = db.transaction(MODERATION_LOG_STORE, 'readonly');
+  return promisifyRequest(transaction.objectStore(MODERATION_LOG_STORE).index('timestamp').getAll());
+}
+
+/**
+ * Deletes every moderation log event
+ * @returns {Promise<void>} - Resolves when the log is empty
+ */
+export async function clearModerationEvents() {
+  const db = await openDatabase();
+  const transaction = db.transaction(MODERATION_LOG_STORE, 'readwrite');
+  transaction.objectStore(MODERATION_LOG_STORE).clear();
+  await transactionDone(transaction);
+}
+
+/**
+ * Loads a cached AI result
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|undefined>} - Entry with key, value and storedAt (a timestamp in milliseconds),
+ *   or undefined if there is none
+ */
+export async function loadCacheEntry(key) {
+  const db = await openDatabase();
+  const transaction = db.transaction(AI_CACHE_STORE, 'readonly');
+  return promisifyRequest(transaction.objectStore(AI_CACHE_STORE).get(key));
+}
+
+/**
+ * Saves a cached AI result, replacing any entry with the same key
+ * @param {Object} entry - Entry with key, value and storedAt
+ * @returns {Promise<void>} - Resolves when the entry is saved
+ */
+export async function saveCacheEntry(entry) {
+  const db = await openDatabase();
+  const transaction = db.transaction(AI_CACHE_STORE, 'readwrite');
+  transaction.objectStore(AI_CACHE_STORE).put(entry);
+  await transactionDone(transaction);
+}
+
+/**
+ * Deletes cached AI results that are too old, then the oldest ones until no more than maxEntries are left
+ * @param {Object} limits - What to keep
+ * @param {number} limits.storedAfter - Entries stored at or before this timestamp (in milliseconds) are deleted
+ * @param {number} limits.maxEntries - Most entries to keep
+ * @returns {Promise<number>} - Number of entries deleted
+ */
+export async function pruneCacheEntries({ storedAfter, maxEntries }) {
+  const db = await openDatabase();
+  const transaction = db.transaction(AI_CACHE_STORE, 'readwrite');
+  const store = transaction.objectStore(AI_CACHE_STORE);
+
+  let remaining = await promisifyRequest(store.count());
+  let deleted = 0;
+  await new Promise((resolve, reject) => {
+    // Oldest first, so stop at the first entry that is new enough and fits under the cap
+    const request = store.index('storedAt').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || (cursor.value.storedAt > storedAfter && remaining <= maxEntries)) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      remaining--;
+      deleted++;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  await transactionDone(transaction);
+  return deleted;
+}
+
+/**
+ * Deletes every cached AI result
+ * @returns {Promise<void>} - Resolves when the cache is empty
+ */
+export async function clearCacheEntries() {
+  const db = await openDatabase();
+  const transaction = db.transaction(AI_CACHE_STORE, 'readwrite');
+  transaction.objectStore(AI_CACHE_STORE).clear();
+  await transactionDone(transaction);
+}
+
+/**
+ * Deletes every saved post and comment
+ * @returns {Promise<void>} - Resolves when storage is empty
+ */
+export async function clearStorage() {
+  const db = await openDatabase();
+  const transaction = db.transaction([POSTS_STORE, COMMENTS_STORE], 'readwrite');
+  transaction.objectStore(POSTS_STORE).clear();
+  transaction.objectStore(COMMENTS_STORE).clear();
+  await transactionDone(transaction);
+}
@@ -0,0 +1,86 @@
+/**
+ * Streaming Helper Functions
+ * Utilities for reading streamed AI responses (server-sent events and ReadableStreams)
+ */
+
+/**
+ * Reads a server-sent events response body and calls onData for every event's data
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @param {Function} onData - Called with each event's data string
+ * @returns {Promise<void>} - Resolves when the stream ends
+ */
+export async function readServerSentEvents(response, onData) {
+  if (!response || !response.body) {
+    throw new Error('Response with a readable body is required');
+  }
+  if (typeof onData !== 'function') {
+    throw new Error('onData must be a function');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  /**
+   * Dispatches one raw event block (lines up to a blank line)
+   * @param {string} block - Raw event text
+   */
+  const dispatch = (block) => {
+    const data = block
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (data) {
+      onData(data);
+    }
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.forEach(dispatch);
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+      dispatch(buffer);
+    }
+  } catch (error) {
+    // Stop the download if a handler rejected an event
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Reads a ReadableStream of text chunks and reports the accumulated text as it grows
+ * @param {ReadableStream} stream - Stream of string chunks
+ * @param {Function} onText - Called with the full text received so far
+ * @returns {Promise<string>} - The complete text
+ */
+export async function readTextStream(stream, onText) {
+  if (!stream || typeof stream.getReader !== 'function') {
+    throw new Error('ReadableStream is required');
+  }
+
+  const reader = stream.getReader();
+  let text = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    text += value;
+    onText(text);
+  }
+
+  return text;
+}
@@ -0,0 +1,152 @@
+/**
+ * Text Normalization
+ * Undoes the tricks used to slip comments past moderation, so "1d10t", "іdіot" (Cyrillic і),
+ * "id\u200Biot" (a zero-width space) and "i d i o t" are all checked as "idiot"
+ * Long runs are only cut to two ("idiooooot" becomes "idioot"), since many words have double letters;
+ * blocklist rules in comment-prefilter.js also compare the text and their terms with runs cut to one
+ *
+ * The steps, in order:
+ * 1. NFKC: fullwidth, circled, superscript and mathematical letters become plain ones
+ * 2. Invisible characters (zero-width spaces and joiners, soft hyphens, direction marks) are removed
+ * 3. Emoji that stand for letters or digits (🅰, 🇦, 0️⃣, ⭕) become those letters or digits
+ * 4. Look-alike Cyrillic and Greek letters become Latin, but only in words that also contain Latin letters,
+ *   so text really written in those scripts is left alone
+ * 5. Letters spaced out with the same spaces, dots, dashes or the like between each are joined back into a word
+ * 6. Leetspeak digits and symbols become letters, in words that also contain letters ("l0s3r", not "2024")
+ * 7. A character repeated three or more times is cut to two
+ *
+ * The normalized text is only used to judge the comment; what gets posted is always what the author wrote.
+ */
+
+// Constants
+const INVISIBLE_CHARACTERS = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180B-\u180F\u200B-\u200F\u202A-\u202E\u2060-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0]/g;
+const KEYCAP_DIGIT = /([0-9#*])\uFE0F?\u20E3/g;
+const REPEATED_CHARACTER = /(.)\1{2,}/gu;
+const SPACED_LETTERS = /(?<![\p{L}\p{N}])[\p{L}\p{N}@$]([ .\-_*·•]+)(?:[\p{L}\p{N}@$]\1)+[\p{L}\p{N}@$](?![\p{L}\p{N}])/gu;
+const WORD = /[\p{L}\p{N}@$!|+]+/gu;
+const MIN_SPACED_LETTERS = 3; // Spaced-out runs need this many actual letters, so "5 x 7" is left alone
+const NUMBER_WITH_UNIT = /^\d+(st|nd|rd|th|s|k|m|p|px|mm|cm|x|am|pm|fps|mp)?$/i;
+
+/**
+ * Blocks of emoji that each stand for a letter, by the code point of their "A"
+ */
+const EMOJI_ALPHABETS = [
+  0x1F130, // 🄰 Squared Latin capital letters
+  0x1F150, // 🅐 Negative circled Latin capital letters
+  0x1F170, // 🅰 Negative squared Latin capital letters
+  0x1F1E6 // 🇦 Regional indicator symbols
+];
+
+/**
+ * Other emoji and symbols often used in place of a letter
+ */
+const EMOJI_LETTERS = {
+  '⭕': 'o',
+  '❌': 'x',
+  '✖': 'x',
+  '❗': 'i',
+  '❕': 'i',
+  '💲': 's',
+  '🆗': 'ok'
+};
+
+/**
+ * Cyrillic and Greek letters that look like Latin ones
+ */
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'с': 'c', 'е': 'e', 'ё': 'e', 'һ': 'h', 'і': 'i', 'ї': 'i', 'ј': 'j', 'к': 'k', 'м': 'm',
+  'н': 'h', 'о': 'o', 'р': 'p', 'ѕ': 's', 'т': 't', 'у': 'y', 'х': 'x', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w',
+  'А': 'A', 'В': 'B', 'С': 'C', 'Е': 'E', 'Н': 'H', 'І': 'I', 'Ј': 'J', 'К': 'K', 'М': 'M', 'О': 'O', 'Р': 'P',
+  'Ѕ': 'S', 'Т': 'T', 'У': 'Y', 'Х': 'X',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u',
+  'χ': 'x', 'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M', 'Ν': 'N', 'Ο': 'O', 'Ρ': 'P',
+  'Τ': 'T', 'Υ': 'Y', 'Χ': 'X', 'Ζ': 'Z'
+};
+const CONFUSABLE_PATTERN = new RegExp(`[${Object.keys(CONFUSABLES).join('')}]`, 'g');
+
+/**
+ * Digits and symbols used as letters in leetspeak
+ */
+const LEET_LETTERS = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't'
+};
+
+/**
+ * Replaces emoji that stand for letters or digits
+ * @param {string} text - Text to clean up
+ * @returns {string} - Text with those emoji replaced
+ */
+function replaceEmojiLetters(text) {
+  return Array.from(text.replace(KEYCAP_DIGIT, '$1'), character => {
+    const codePoint = character.codePointAt(0);
+    const alphabet = EMOJI_ALPHABETS.find(start => codePoint >= start && codePoint < start + 26);
+    if (alphabet !== undefined) {
+      return String.fromCharCode(0x61 + codePoint - alphabet);
+    }
+    return EMOJI_LETTERS[character] ?? character;
+  }).join('');
+}
+
+/**
+ * Replaces look-alike letters in words that mix them with Latin letters
+ * @param {string} text - Text to clean up
+ * @returns {string} - Text with mixed-script words in Latin letters
+ */
+function replaceConfusables(text) {
+  return text.replace(/[\p{L}\p{N}]+/gu, word =>
+    /[a-z]/i.test(word) ? word.replace(CONFUSABLE_PATTERN, letter => CONFUSABLES[letter]) : word
+  );
+}
+
+/**
+ * Joins letters spaced out to dodge word filters, such as "i d i o t" or "i.d.i.o.t"
+ * @param {string} text - Text to clean up
+ * @returns {string} - Text with spaced-out words joined
+ */
+function joinSpacedLetters(text) {
+  return text.replace(SPACED_LETTERS, run => {
+    const characters = run.match(/[\p{L}\p{N}@$]/gu);
+    const letters = characters.filter(character => /\p{L}/u.test(character));
+    return letters.length >= MIN_SPACED_LETTERS ? characters.join('') : run;
+  });
+}
+
+/**
+ * Turns leetspeak into letters in words that contain at least one letter
+ * Symbols are only replaced inside a word, so "nice!" keeps its exclamation mark
+ * @param {string} text - Text to clean up
+ * @returns {string} - Text with leetspeak words spelled out
+ */
+function replaceLeet(text) {
+  return text.replace(WORD, word => {
+    if (!/\p{L}/u.test(word) || NUMBER_WITH_UNIT.test(word)) {
+      return word;
+    }
+
+    // Leading and trailing !, | and + are punctuation, not letters
+    const [, before, middle, after] = word.match(/^([!|+]*)(.*?)([!|+]*)$/u);
+    const spelled = Array.from(middle, character => LEET_LETTERS[character] ?? character).join('');
+    return `${before}${spelled}${after}`;
+  });
+}
+
+/**
+ * Normalizes a comment so that disguised words can be recognized
+ * @param {string} text - Comment text as written
+ * @returns {string} - Normalized text (see the module comment), or the same text if nothing was disguised
+ */
+export function normalizeCommentText(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Text must be a string');
+  }
+
+  let normalized = text.normalize('NFKC').replace(INVISIBLE_CHARACTERS, '');
+  normalized = replaceEmojiLetters(normalized);
+  normalized = replaceConfusables(normalized);
+  normalized = joinSpacedLetters(normalized);
+  normalized = replaceLeet(normalized);
+  normalized = normalized.replace(REPEATED_CHARACTER, '$1$1');
+
+  return normalized.trim();
+}
@@ -219,7 +219,7 @@ export function registerEventHandler(name, handler) {
  * @param {string} name - Handler name
  * @returns {Function|null} - Handler function or null if not found
  */
-function getEventHandler(name) {
+export function getEventHandler(name) {
   return eventHandlers.get(name) || null;
 }
 
@@ -233,9 +233,10 @@ export function setupEventListeners() {
 function setupEventListenersInternal() {
   // Get handlers from registry
   const handleFileSelect = getEventHandler('handleFileSelect');
-  const handleFile = getEventHandler('handleFile');
+  const handleFiles = getEventHandler('handleFiles');
   const generateAltText = getEventHandler('generateAltText');
   const acceptAndPostImage = getEventHandler('acceptAndPostImage');
+  const updateAltTextLint = getEventHandler('updateAltTextLint');
   const cancelImageSelection = getEventHandler('cancelImageSelection');
   const getCurrentImageData = getEventHandler('getCurrentImageData');
   const handleCommentSubmit = getEventHandler('handleCommentSubmit');
@@ -253,7 +254,7 @@ function setupEventListenersInternal() {
   // Note: Upload area or file input may not exist on all pages
   
   // Drag and drop for image upload  
-  if (uploadArea && handleFile) {
+  if (uploadArea && handleFiles) {
     uploadArea.addEventListener('dragover', (e) => {
       e.preventDefault();
       uploadArea.classList.add('dragover');
@@ -267,10 +268,8 @@ function setupEventListenersInternal() {
       e.preventDefault();
       uploadArea.classList.remove('dragover');
       
-      const files = e.dataTransfer.files;
-      if (files.length > 0) {
-        handleFile(files[0]);
-      }
+      // One image opens in the editor, several go to the upload queue
+      handleFiles(e.dataTransfer.files);
     });
   }
   
@@ -292,7 +291,8 @@ function setupEventListenersInternal() {
       // Call the alt text generation function with current image data
       const imageData = getCurrentImageData();
       if (imageData) {
-        generateAltText(imageData);
+        // The user wants a different result, so don't reuse the cached one
+        generateAltText(imageData, { bypassCache: true });
       } else {
         handleError(new Error('generateAltText or currentImageData not available'), 'Alt text regeneration');
         // Show error and restore interface
@@ -304,6 +304,14 @@ function setupEventListenersInternal() {
     });
   }
   
+  // Re-check the alt text as it is edited
+  const altTextEditor = getElement('altTextEditor');
+  if (altTextEditor && updateAltTextLint) {
+    altTextEditor.addEventListener('input', () => {
+      updateAltTextLint();
+    });
+  }
+  
   // Accept and post image
   const acceptBtn = getElement('btnAccept');
   if (acceptBtn && acceptAndPostImage) {
@@ -343,7 +351,7 @@ function setupEventListenersInternal() {
 
 /**
  * Shows a status notification that slides in and fades out
- * @param {string} type - The notification type: 'success' or 'failure'
+ * @param {string} type - The notification type: 'success', 'failure' or 'retrying'
  * @param {string} message - The message to display
  * @param {number} duration - How long to show the notification (default 3000ms)
  */
@@ -391,6 +399,29 @@ export function showStatusNotification(type, message, duration = DEFAULT_NOTIFIC
   }, duration);
 }
 
+/**
+ * Creates a button that tries a failed AI request again
+ * Errors marked retryable: false (such as an invalid API key) won't go away by retrying, so they get no button
+ * @param {Error} error - The error the request failed with
+ * @param {Function} onRetry - Called when the button is clicked
+ * @returns {HTMLButtonElement|null} - The button, or null if retrying can't help
+ */
+export function createRetryButton(error, onRetry) {
+  if (typeof onRetry !== 'function') {
+    throw new Error('onRetry must be a function');
+  }
+  if (error?.retryable === false) {
+    return null;
+  }
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn_suggestion btn_retry';
+  button.textContent = '🔄 Try again';
+  button.addEventListener('click', onRetry, { once: true });
+  return button;
+}
+
 /**
  * Shows a success notification that slides in and fades out (backward compatibility)
  * @param {string} message - The success message to display
@@ -0,0 +1,566 @@
+/**
+ * Upload Queue Module
+ * Generates alt text for many images at once, a few at a time
+ * Each queued image can be regenerated, edited, accepted (posted to the feed) or cancelled on its own
+ */
+
+import { getElement, showElement, hideElement, showStatusNotification, registerEventHandler, handleError } from './ui-helpers.js';
+import { describeImage } from './ai-providers.js';
+import { getAltTextCacheKey, getCachedResult, setCachedResult } from './ai-cache.js';
+import { createPost } from './posts.js';
+import { preprocessImage } from './image-preprocessing.js';
+import { lintAltText, applyLintFix, evaluateLintPolicy } from './alt-text-linter.js';
+import { getAltTextLanguages } from './alt-text-languages.js';
+import { isHeicImage } from './image-formats.js';
+import { validateImageFile, displayPostedImage, showCommentSection, renderLintIssues, renderTranslationEditors, readTranslationEditors } from './image-processing.js';
+
+// Constants
+const DEFAULT_CONCURRENCY = 3;
+const STATUS_NOTIFICATION_DURATION = 4000;
+
+const STATUS_LABELS = {
+  pending: '⏳ Pending',
+  generating: '🤖 Generating...',
+  done: '✅ Done',
+  failed: '❌ Failed'
+};
+
+// Queued images, in the order they were added
+const queue = [];
+
+// Maximum number of images analyzed at the same time
+let concurrency = DEFAULT_CONCURRENCY;
+
+/**
+ * Creates a unique id for a queue item
+ * @returns {string} - Unique id
+ */
+function createItemId() {
+  return `queue-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Sets how many images are analyzed at the same time
+ * @param {number} limit - Maximum number of concurrent alt text requests
+ */
+export function setQueueConcurrency(limit) {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('Queue concurrency must be a positive integer');
+  }
+  concurrency = limit;
+  processQueue();
+}
+
+/**
+ * Gets how many images are analyzed at the same time
+ * @returns {number} - Maximum number of concurrent alt text requests
+ */
+export function getQueueConcurrency() {
+  return concurrency;
+}
+
+/**
+ * Adds image files to the queue and starts generating alt text for them
+ * Files that aren't images, are HEIC/HEIF or are too large are skipped with a notification
+ * @param {FileList|File[]} files - The image files to queue
+ * @returns {Promise<number>} - Number of files added to the queue
+ */
+export async function enqueueFiles(files) {
+  const fileList = Array.from(files || []);
+  const rejected = [];
+  const rejectedHeic = [];
+  let added = 0;
+
+  for (const file of fileList) {
+    if (validateImageFile(file)) {
+      (isHeicImage(file) ? rejectedHeic : rejected).push(file.name);
+      continue;
+    }
+
+    try {
+      const { dataUrl: imageData, promptContext } = await preprocessImage(file);
+      const item = {
+        id: createItemId(),
+        fileName: file.name,
+        imageData,
+        promptContext,
+        status: 'pending',
+        altText: '',
+        language: '',
+        translations: [],
+        error: null,
+        controller: null,
+        bypassCache: false,
+        acknowledgedLintText: null
+      };
+      queue.push(item);
+      renderQueueItem(item);
+      added++;
+    } catch (error) {
+      handleError(error, `Preprocessing ${file.name}`);
+      rejected.push(file.name);
+    }
+  }
+
+  if (rejectedHeic.length > 0) {
+    showStatusNotification(
+      'failure',
+      `❌ Skipped ${rejectedHeic.length} HEIC/HEIF photo(s), which aren't supported. Please convert them to JPEG or PNG first: ${rejectedHeic.join(', ')}`,
+      STATUS_NOTIFICATION_DURATION
+    );
+  }
+  if (rejected.length > 0) {
+    showStatusNotification(
+      'failure',
+      `❌ Skipped ${rejected.length} file(s) that aren't usable images under 10MB: ${rejected.join(', ')}`,
+      STATUS_NOTIFICATION_DURATION
+    );
+  }
+
+  updateQueueSummary();
+  processQueue();
+  return added;
+}
+
+/**
+ * Starts alt text generation for pending items until the concurrency limit is reached
+ */
+function processQueue() {
+  let running = queue.filter(item => item.status === 'generating').length;
+
+  for (const item of queue) {
+    if (running >= concurrency) {
+      break;
+    }
+    if (item.status === 'pending') {
+      running++;
+      generateQueueItem(item);
+    }
+  }
+}
+
+/**
+ * Generates alt text for one queued image
+ * Alt text generated earlier for the same image is reused from the cache, unless the item is being regenerated
+ * @param {Object} item - Queue item
+ */
+async function generateQueueItem(item) {
+  const controller = new AbortController();
+  item.controller = controller;
+  item.error = null;
+  setItemStatus(item, 'generating');
+
+  try {
+    const languages = getAltTextLanguages();
+    const cacheKey = await getAltTextCacheKey(item.imageData, { languages, context: item.promptContext });
+    let description = item.bypassCache ? null : await getCachedResult(cacheKey);
+
+    if (!description) {
+      const imgElement = getItemElement(item, '.upload-queue-thumbnail');
+      description = await describeImage(imgElement, controller, {
+        context: item.promptContext,
+        languages,
+        onText: (text) => {
+          if (item.controller === controller) {
+            getItemElement(item, '.upload-queue-alt-text').value = text;
+          }
+        }
+      });
+      if (description && description.alt) {
+        setCachedResult(cacheKey, description);
+      }
+    }
+
+    // The item was cancelled or regenerated while this request was running
+    if (item.controller !== controller) {
+      return;
+    }
+    if (!description || !description.alt) {
+      throw new Error('No alt text generated');
+    }
+
+    item.bypassCache = false;
+    item.altText = description.alt;
+    item.language = description.language;
+    item.translations = description.translations;
+    getItemElement(item, '.upload-queue-alt-text').value = description.alt;
+    getItemElement(item, '.long-description-editor').value = description.longDescription;
+    getItemElement(item, '.caption-editor').value = description.caption;
+    ['.upload-queue-alt-text', '.long-description-editor', '.caption-editor'].forEach(selector => {
+      getItemElement(item, selector).lang = description.language;
+    });
+    renderTranslationEditors(getItemElement(item, '.upload-queue-translations'), description.translations, `${item.id}-translation`);
+    setItemStatus(item, 'done');
+  } catch (error) {
+    if (item.controller !== controller) {
+      return;
+    }
+    item.error = error.name === 'AbortError'
+      ? '⏹️ Analysis cancelled'
+      : handleError(error, `Alt text generation for ${item.fileName}`);
+    setItemStatus(item, 'failed');
+  } finally {
+    if (item.controller === controller) {
+      item.controller = null;
+    }
+    processQueue();
+  }
+}
+
+/**
+ * Generates new alt text for a queued image
+ * @param {string} itemId - Queue item id
+ */
+export function regenerateQueueItem(itemId) {
+  const item = getQueueItem(itemId);
+  if (item.controller) {
+    item.controller.abort();
+    item.controller = null;
+  }
+
+  // The user wants a different result, so don't reuse the cached one
+  item.bypassCache = true;
+  item.altText = '';
+  getItemElement(item, '.upload-queue-alt-text').value = '';
+  getItemElement(item, '.long-description-editor').value = '';
+  getItemElement(item, '.caption-editor').value = '';
+  item.translations = [];
+  renderTranslationEditors(getItemElement(item, '.upload-queue-translations'), []);
+  setItemStatus(item, 'pending');
+  processQueue();
+}
+
+/**
+ * Lets the user edit a queued image's generated alt text
+ * @param {string} itemId - Queue item id
+ */
+export function editQueueItem(itemId) {
+  const item = getQueueItem(itemId);
+  if (item.status !== 'done') {
+    return;
+  }
+
+  const editorEl = getItemElement(item, '.upload-queue-alt-text');
+  editorEl.readOnly = false;
+  editorEl.focus();
+
+  // Open the long description and caption for editing too
+  getItemElement(item, '.upload-queue-extras').open = true;
+}
+
+/**
+ * Posts a queued image with its alt text to the feed and removes it from the queue
+ * @param {string} itemId - Queue item id
+ */
+export function acceptQueueItem(itemId) {
+  const item = getQueueItem(itemId);
+  if (item.status !== 'done') {
+    return;
+  }
+
+  const finalAltText = getItemElement(item, '.upload-queue-alt-text').value.trim();
+  if (!finalAltText) {
+    showStatusNotification('failure', `❌ Please provide alt text for ${item.fileName} before posting it`, STATUS_NOTIFICATION_DURATION);
+    return;
+  }
+
+  // Apply the same lint severity policy as the single image editor
+  const { action, issues } = evaluateLintPolicy(updateItemLint(item));
+  if (action === 'block') {
+    showStatusNotification('failure', `❌ Please fix the alt text for ${item.fileName} before posting: ${issues[0].message}`, STATUS_NOTIFICATION_DURATION);
+    return;
+  }
+  if (action === 'warn' && item.acknowledgedLintText !== finalAltText) {
+    item.acknowledgedLintText = finalAltText;
+    showStatusNotification('failure', `⚠️ ${issues.length} alt text warning(s) for ${item.fileName}. Fix them, or click "Accept & post" again to post anyway.`, STATUS_NOTIFICATION_DURATION);
+    return;
+  }
+
+  const post = createPost({
+    imageData: item.imageData,
+    altText: finalAltText,
+    longDescription: getItemElement(item, '.long-description-editor').value,
+    caption: getItemElement(item, '.caption-editor').value,
+    language: item.language,
+    translations: readTranslationEditors(getItemElement(item, '.upload-queue-translations'), item.translations)
+  });
+  displayPostedImage(post);
+  showCommentSection(post.id);
+
+  removeQueueItem(item);
+  showStatusNotification('success', `✅ Posted ${item.fileName}`);
+}
+
+/**
+ * Lints a queued image's alt text and shows any issues with their fixes
+ * @param {Object} item - Queue item
+ * @returns {Object[]} - Issues found in the item's alt text
+ */
+function updateItemLint(item) {
+  const editorEl = getItemElement(item, '.upload-queue-alt-text');
+  const lintEl = getItemElement(item, '.alt-text-lint');
+  const context = { fileName: item.fileName };
+  const issues = item.status === 'done' ? lintAltText(editorEl.value, context) : [];
+
+  renderLintIssues(lintEl, issues, (issue) => {
+    if (issue.fixAction === 'regenerate') {
+      regenerateQueueItem(item.id);
+      return;
+    }
+    editorEl.value = applyLintFix(editorEl.value, issue.ruleId, context);
+    updateItemLint(item);
+  });
+
+  return issues;
+}
+
+/**
+ * Stops any analysis for a queued image and removes it from the queue
+ * @param {string} itemId - Queue item id
+ */
+export function cancelQueueItem(itemId) {
+  const item = getQueueItem(itemId);
+  if (item.controller) {
+    item.controller.abort();
+    item.controller = null;
+  }
+
+  removeQueueItem(item);
+  processQueue();
+}
+
+/**
+ * Gets a queued item by id
+ * @param {string} itemId - Queue item id
+ * @returns {Object} - Queue item
+ */
+function getQueueItem(itemId) {
+  const item = queue.find(queued => queued.id === itemId);
+  if (!item) {
+    throw new Error(`Queue item not found: ${itemId}`);
+  }
+  return item;
+}
+
+/**
+ * Removes an item from the queue and the page
+ * @param {Object} item - Queue item
+ */
+function removeQueueItem(item) {
+  queue.splice(queue.indexOf(item), 1);
+  const itemEl = document.getElementById(item.id);
+  if (itemEl) {
+    itemEl.remove();
+  }
+  updateQueueSummary();
+}
+
+// ============================================================================
+// UI HANDLING FUNCTIONS
+// ============================================================================
+
+/**
+ * Gets an element inside a queue item's list entry
+ * @param {Object} item - Queue item
+ * @param {string} selector - CSS selector within the entry
+ * @returns {Element|null} - The matching element
+ */
+function getItemElement(item, selector) {
+  const itemEl = document.getElementById(item.id);
+  return itemEl ? itemEl.querySelector(selector) : null;
+}
+
+/**
+ * Creates an action button for a queue item
+ * @param {string} label - Button text
+ * @param {string} action - Action name, used for the class and visibility rules
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} - The button
+ */
+function createActionButton(label, action, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `btn_suggestion upload-queue-${action}`;
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Adds a queue item to the list on the page
+ * @param {Object} item - Queue item
+ */
+function renderQueueItem(item) {
+  const itemEl = document.createElement('li');
+  itemEl.id = item.id;
+  itemEl.className = 'upload-queue-item';
+
+  const thumbnail = document.createElement('img');
+  thumbnail.className = 'upload-queue-thumbnail';
+  thumbnail.src = item.imageData;
+  thumbnail.alt = item.fileName;
+
+  const details = document.createElement('div');
+  details.className = 'upload-queue-details';
+
+  const header = document.createElement('div');
+  header.className = 'upload-queue-item-header';
+  const fileName = document.createElement('span');
+  fileName.className = 'upload-queue-file-name';
+  fileName.textContent = item.fileName;
+  const status = document.createElement('span');
+  status.className = 'upload-queue-status';
+  status.setAttribute('role', 'status');
+  header.appendChild(fileName);
+  header.appendChild(status);
+
+  const altText = document.createElement('textarea');
+  altText.className = 'alt-text-editor upload-queue-alt-text';
+  altText.placeholder = 'Alt text will appear here...';
+  altText.readOnly = true;
+  altText.setAttribute('aria-label', `Alt text for ${item.fileName}`);
+  altText.addEventListener('input', () => updateItemLint(item));
+
+  const lint = document.createElement('ul');
+  lint.className = 'alt-text-lint';
+  lint.setAttribute('aria-label', `Alt text suggestions for ${item.fileName}`);
+  lint.setAttribute('aria-live', 'polite');
+
+  // Long description and caption, collapsed to keep long queues scannable
+  const extras = document.createElement('details');
+  extras.className = 'upload-queue-extras';
+  const extrasSummary = document.createElement('summary');
+  extrasSummary.textContent = 'Long description, caption & translations';
+  const longDescription = document.createElement('textarea');
+  longDescription.className = 'alt-text-editor long-description-editor';
+  longDescription.placeholder = 'Long description (for charts, diagrams and infographics)';
+  longDescription.setAttribute('aria-label', `Long description for ${item.fileName}`);
+  const caption = document.createElement('input');
+  caption.type = 'text';
+  caption.className = 'caption-editor';
+  caption.placeholder = 'Caption shown under the image';
+  caption.setAttribute('aria-label', `Caption for ${item.fileName}`);
+  extras.appendChild(extrasSummary);
+  const translations = document.createElement('div');
+  translations.className = 'upload-queue-translations';
+  extras.appendChild(longDescription);
+  extras.appendChild(caption);
+  extras.appendChild(translations);
+  hideElement(translations);
+
+  const error = document.createElement('p');
+  error.className = 'upload-queue-error';
+
+  const actions = document.createElement('div');
+  actions.className = 'alt-text-buttons';
+  actions.appendChild(createActionButton('🔄 Regenerate', 'regenerate', () => regenerateQueueItem(item.id)));
+  actions.appendChild(createActionButton('✏️ Edit', 'edit', () => editQueueItem(item.id)));
+  actions.appendChild(createActionButton('✅ Accept & post', 'accept', () => acceptQueueItem(item.id)));
+  actions.appendChild(createActionButton('❌ Cancel', 'cancel', () => cancelQueueItem(item.id)));
+
+  details.appendChild(header);
+  details.appendChild(altText);
+  details.appendChild(lint);
+  details.appendChild(extras);
+  details.appendChild(error);
+  details.appendChild(actions);
+  itemEl.appendChild(thumbnail);
+  itemEl.appendChild(details);
+
+  getElement('uploadQueueList').appendChild(itemEl);
+  showElement('uploadQueue');
+  setItemStatus(item, item.status);
+}
+
+/**
+ * Updates a queue item's status and the actions available for it
+ * @param {Object} item - Queue item
+ * @param {string} status - 'pending', 'generating', 'done' or 'failed'
+ */
+function setItemStatus(item, status) {
+  item.status = status;
+
+  const itemEl = document.getElementById(item.id);
+  if (!itemEl) {
+    return;
+  }
+
+  itemEl.dataset.status = status;
+  itemEl.querySelector('.upload-queue-status').textContent = STATUS_LABELS[status];
+
+  const altText = itemEl.querySelector('.upload-queue-alt-text');
+  altText.classList.toggle('streaming', status === 'generating');
+  altText.toggleAttribute('aria-busy', status === 'generating');
+  if (status !== 'done') {
+    altText.readOnly = true;
+  }
+  itemEl.querySelectorAll('.long-description-editor, .caption-editor').forEach(field => {
+    field.readOnly = status !== 'done';
+  });
+
+  const error = itemEl.querySelector('.upload-queue-error');
+  error.textContent = item.error || '';
+  const extras = itemEl.querySelector('.upload-queue-extras');
+  if (status === 'failed') {
+    showElement(error);
+    hideElement(altText);
+    hideElement(extras);
+  } else {
+    hideElement(error);
+    showElement(altText);
+    showElement(extras);
+  }
+
+  updateItemLint(item);
+
+  // Regenerate, edit and accept only make sense once generation has finished
+  const finished = status === 'done' || status === 'failed';
+  toggleAction(itemEl, 'regenerate', finished);
+  toggleAction(itemEl, 'edit', status === 'done');
+  toggleAction(itemEl, 'accept', status === 'done');
+
+  updateQueueSummary();
+}
+
+/**
+ * Shows or hides one of a queue item's action buttons
+ * @param {Element} itemEl - The item's list entry
+ * @param {string} action - Action name
+ * @param {boolean} visible - Whether the button should be shown
+ */
+function toggleAction(itemEl, action, visible) {
+  const button = itemEl.querySelector(`.upload-queue-${action}`);
+  if (visible) {
+    showElement(button);
+  } else {
+    hideElement(button);
+  }
+}
+
+/**
+ * Updates the queue's progress summary, hiding the queue when it is empty
+ */
+function updateQueueSummary() {
+  const queueEl = getElement('uploadQueue');
+  if (!queueEl) {
+    return;
+  }
+
+  if (queue.length === 0) {
+    hideElement(queueEl);
+    return;
+  }
+
+  const counts = queue.reduce((totals, item) => {
+    totals[item.status] = (totals[item.status] || 0) + 1;
+    return totals;
+  }, {});
+  const parts = [`${counts.done || 0} of ${queue.length} ready`];
+  if (counts.failed) {
+    parts.push(`${counts.failed} failed`);
+  }
+  getElement('uploadQueueSummary').textContent = parts.join(', ');
+}
+
+// Register event handlers to avoid circular dependencies
+registerEventHandler('enqueueFiles', enqueueFiles);
@@ -0,0 +1,43 @@
+/**
+ * Check Runner
+ * Runs a list of console checks one after another and prints a table of the results
+ *
+ * The files in dev/ are for developers only: no page loads them. Each one exports its checks and a function
+ * that passes them to runChecks(), so it can be run from the browser console on either page, e.g.
+ *   const { runInjectionFixtures } = await import('../dev/injection-fixtures.js');
+ *   await runInjectionFixtures();
+ */
+
+/**
+ * Formats a result for console.table(), joining lists such as problems into one cell
+ * @param {Object} result - Result from a check
+ * @returns {Object} - The same result with every array joined
+ */
+function toTableRow(result) {
+  return Object.fromEntries(Object.entries(result).map(([key, value]) => [key, Array.isArray(value) ? value.join('; ') : value]));
+}
+
+/**
+ * Runs checks in order and prints a table of the results
+ * @param {string} name - What the checks are, for the summary line, e.g. 'injection fixtures'
+ * @param {Object[]} checks - Checks to run
+ * @param {Function} runCheck - Runs one check; resolves to a result with id, passed and problems
+ *   (an array of strings), plus anything else worth a column in the table
+ * @returns {Promise<Object>} - Summary with passed and failed counts and the result of each check
+ */
+export async function runChecks(name, checks, runCheck) {
+  const results = [];
+  for (const check of checks) {
+    results.push(await runCheck(check));
+  }
+
+  const failed = results.filter(result => !result.passed).length;
+  console.table(results.map(toTableRow));
+  if (failed > 0) {
+    console.error(`❌ ${failed} of ${results.length} ${name} failed`);
+  } else {
+    console.log(`✅ All ${results.length} ${name} passed`);
+  }
+
+  return { passed: results.length - failed, failed, results };
+}
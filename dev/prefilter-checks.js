@@ -0,0 +1,52 @@
+/**
+ * Pre-filter Checks
+ * Runs disguised and harmless comments through text normalization and the default pre-filter rules,
+ * to check which rule decides each one without calling a model
+ *
+ * Loads common/config/prefilter-rules.json, replacing any rules the page set with setPrefilterRules().
+ *
+ * Run from the browser console on either page:
+ *   const { runPrefilterChecks } = await import('../dev/prefilter-checks.js');
+ *   runPrefilterChecks();
+ */
+
+import { loadPrefilterRules, runPrefilter } from '../common/js/comment-prefilter.js';
+import { normalizeCommentText } from '../common/js/text-normalization.js';
+import { runChecks } from './check-runner.js';
+
+/**
+ * Comments and the id of the rule expected to decide them, or null when the AI should
+ */
+export const PREFILTER_CHECKS = [
+  { id: 'plain-insult', comment: 'you idiot', expectedRule: 'insults' },
+  { id: 'stretched-insult', comment: 'idiooooot', expectedRule: 'insults' },
+  { id: 'spaced-insult', comment: 'i d i o t', expectedRule: 'insults' },
+  { id: 'leetspeak-insult', comment: 'what a l0s3r', expectedRule: 'insults' },
+  { id: 'stretched-double-letter', comment: 'kiiiill yourself', expectedRule: 'insults' },
+  { id: 'stretched-last-letter', comment: 'kill yourselfff', expectedRule: 'insults' },
+  { id: 'insult-inside-word', comment: 'Such an idiomatic shot', expectedRule: null },
+  { id: 'term-inside-word', comment: 'Take a closer look at the sky', expectedRule: null },
+  { id: 'short-praise', comment: 'Nice shot!', expectedRule: 'short-praise' }
+];
+
+/**
+ * Runs one comment through normalization and the pre-filter
+ * @param {Object} check - Entry from PREFILTER_CHECKS
+ * @returns {Object} - Result with id, passed, normalized (the normalized comment), rule and problems
+ */
+function runCheck({ id, comment, expectedRule }) {
+  const normalized = normalizeCommentText(comment);
+  const rule = runPrefilter(normalized)?.rule.id ?? null;
+  const problems = rule === expectedRule ? [] : [`expected ${expectedRule ?? 'no rule'}, got ${rule ?? 'no rule'}`];
+  return { id, passed: problems.length === 0, normalized, rule, problems };
+}
+
+/**
+ * Loads the default rules, then runs every check and prints a table of the results
+ * @param {Object[]} [checks] - Checks to run, PREFILTER_CHECKS by default
+ * @returns {Promise<Object>} - Summary with passed and failed counts and the result of each check
+ */
+export async function runPrefilterChecks(checks = PREFILTER_CHECKS) {
+  await loadPrefilterRules();
+  return runChecks('pre-filter checks', checks, runCheck);
+}
@@ -0,0 +1,138 @@
+/**
+ * Request Retry Checks
+ * Runs fetchWithRetry() against stubbed responses to check how long it waits between attempts,
+ * without calling a real API
+ *
+ * Each check answers the first attempt with an error response, and then with 200 OK. It checks the delay
+ * fetchWithRetry() chose and, for errors with no hint from the server, that it really waited that long.
+ * Checks with a server-given delay cancel the wait instead of sitting through it.
+ *
+ * Run from the browser console on either page:
+ *   const { runRetryChecks } = await import('../dev/request-retry-checks.js');
+ *   runRetryChecks();
+ */
+
+import { fetchWithRetry } from '../common/js/request-retry.js';
+import { runChecks } from './check-runner.js';
+
+// Constants
+const FIRST_BACKOFF_MIN_MS = 500; // The first backoff is half a second to a second
+const FIRST_BACKOFF_MAX_MS = 1000;
+
+/**
+ * Failed first responses and the delay expected before the second attempt
+ */
+export const RETRY_CHECKS = [
+  {
+    id: 'rate-limit-no-hint',
+    status: 429,
+    headers: {},
+    expectedDelayMs: [FIRST_BACKOFF_MIN_MS, FIRST_BACKOFF_MAX_MS],
+    waits: true
+  },
+  {
+    id: 'unavailable-no-hint',
+    status: 503,
+    headers: {},
+    expectedDelayMs: [FIRST_BACKOFF_MIN_MS, FIRST_BACKOFF_MAX_MS],
+    waits: true
+  },
+  {
+    id: 'blank-retry-after',
+    status: 503,
+    headers: { 'Retry-After': ' ' },
+    expectedDelayMs: [FIRST_BACKOFF_MIN_MS, FIRST_BACKOFF_MAX_MS],
+    waits: true
+  },
+  {
+    id: 'retry-after-seconds',
+    status: 429,
+    headers: { 'Retry-After': '7' },
+    expectedDelayMs: [7000, 7000],
+    waits: false
+  },
+  {
+    id: 'retry-after-date',
+    status: 503,
+    headers: () => ({ 'Retry-After': new Date(Date.now() + 20000).toUTCString() }),
+    // HTTP dates only have whole seconds
+    expectedDelayMs: [18000, 20000],
+    waits: false
+  }
+];
+
+/**
+ * Creates a fetch() stand-in that answers with an error once, then with 200 OK
+ * @param {number} status - HTTP status of the error
+ * @param {Object} headers - Headers of the error response
+ * @returns {Function} - fetch() stand-in
+ */
+function createStubFetch(status, headers) {
+  let calls = 0;
+  return async () => {
+    calls++;
+    if (calls > 1) {
+      return new Response('{}', { status: 200 });
+    }
+    return new Response('{}', { status, statusText: 'Stubbed error', headers });
+  };
+}
+
+/**
+ * Runs one check with fetch() stubbed
+ * @param {Object} check - Entry from RETRY_CHECKS
+ * @returns {Promise<Object>} - Result with id, passed, delayMs, waitedMs and problems
+ */
+async function runCheck(check) {
+  const { id, status, expectedDelayMs: [minDelayMs, maxDelayMs], waits } = check;
+  const headers = typeof check.headers === 'function' ? check.headers() : check.headers;
+  const controller = new AbortController();
+  const problems = [];
+  let delayMs = null;
+  let retriedAt = null;
+
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = createStubFetch(status, headers);
+  try {
+    await fetchWithRetry('https://example.invalid/', {}, {
+      signal: controller.signal,
+      context: `Retry check ${id}`,
+      maxAttempts: 2,
+      onRetry: (retry) => {
+        delayMs = retry.delayMs;
+        retriedAt = performance.now();
+        if (!waits) {
+          controller.abort();
+        }
+      }
+    });
+  } catch (error) {
+    if (error.name !== 'AbortError' || waits) {
+      problems.push(`failed: ${error.message}`);
+    }
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  const waitedMs = waits && retriedAt !== null ? Math.round(performance.now() - retriedAt) : null;
+  if (delayMs === null) {
+    problems.push('was not retried');
+  } else if (delayMs < minDelayMs || delayMs > maxDelayMs) {
+    problems.push(`expected a delay of ${minDelayMs}–${maxDelayMs}ms, got ${delayMs}ms`);
+  }
+  if (waitedMs !== null && waitedMs < delayMs) {
+    problems.push(`retried after ${waitedMs}ms instead of waiting ${delayMs}ms`);
+  }
+
+  return { id, passed: problems.length === 0, delayMs, waitedMs, problems };
+}
+
+/**
+ * Runs every check and prints a table of the results
+ * Checks that wait take up to a second each
+ * @param {Object[]} [checks] - Checks to run, RETRY_CHECKS by default
+ * @returns {Promise<Object>} - Summary with passed and failed counts and the result of each check
+ */
+export function runRetryChecks(checks = RETRY_CHECKS) {
+  return runChecks('retry checks', checks, runCheck);
+}